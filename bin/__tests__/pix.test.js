@@ -0,0 +1,275 @@
+import { spawnSync } from "child_process";
+import { readFileSync } from "fs";
+import { resolve } from "path";
+import { PixCodec } from "c/pixCodec";
+
+const CLI = resolve(__dirname, "../pix.mjs");
+const PIX_JSON = resolve(__dirname, "../../pix.json");
+
+const PIX_CODE =
+  "00020126360014BR.GOV.BCB.PIX0114234842250001665204000053039865406123.455802BR5907WISEFOX6014BELO HORIZONTE62450507ref123450300017BR.GOV.BCB.BRCODE01051.0.063040D3F";
+
+/**
+ * Runs the command line
+ * @param {Array<string>} args - Arguments after the script name
+ * @param {string} [input] - Standard input
+ * @returns {Object} - Exit status, stdout and stderr
+ */
+const pix = (args, input = "") =>
+  spawnSync(process.execPath, [CLI, ...args], {
+    input,
+    encoding: "utf8",
+    timeout: 30000
+  });
+
+describe("pix command line", () => {
+  describe("decode", () => {
+    it("should list the fields of a PIX code", () => {
+      // Act
+      const { status, stdout } = pix(["decode", PIX_CODE]);
+
+      // Assert
+      expect(status).toBe(0);
+      expect(stdout).toContain("00 Payload Format Indicator: 01\n");
+      expect(stdout).toContain("26 Merchant Account Information\n");
+      expect(stdout).toContain("  01 Key: 23484225000166\n");
+      expect(stdout).toContain("    00 GUI: BR.GOV.BCB.BRCODE\n");
+    });
+
+    it("should print the decoded fields as JSON, reading the standard input", () => {
+      // Act
+      const { status, stdout } = pix(["decode", "--json"], `${PIX_CODE}\n`);
+
+      // Assert
+      expect(status).toBe(0);
+      expect(JSON.parse(stdout)).toEqual(PixCodec.decode(PIX_CODE));
+    });
+
+    it("should fail on a malformed PIX code", () => {
+      // Act
+      const { status, stdout, stderr } = pix([
+        "decode",
+        PIX_CODE.replace("0D3F", "FFFF")
+      ]);
+
+      // Assert
+      expect(status).toBe(1);
+      expect(stdout).toBe("");
+      expect(stderr).toContain(
+        "pix: Invalid CRC. Expected: 0D3F, Got: FFFF (at offset 159)"
+      );
+    });
+  });
+
+  describe("validate", () => {
+    it("should accept a valid PIX code", () => {
+      // Act
+      const { status, stdout } = pix(["validate", PIX_CODE]);
+
+      // Assert
+      expect(status).toBe(0);
+      expect(stdout).toBe("Valid PIX code\n");
+    });
+
+    it("should list the issues of an invalid PIX code", () => {
+      // Act
+      const { status, stdout } = pix([
+        "validate",
+        PIX_CODE.replace("0D3F", "FFFF")
+      ]);
+      const json = pix([
+        "validate",
+        "--json",
+        PIX_CODE.replace("0D3F", "FFFF")
+      ]);
+
+      // Assert
+      expect(status).toBe(1);
+      expect(stdout).toBe(
+        "Invalid PIX code\n  error 63: Invalid CRC. Expected: 0D3F, Got: FFFF\n"
+      );
+      expect(json.status).toBe(1);
+      expect(JSON.parse(json.stdout).isValid).toBe(false);
+    });
+
+    it("should report an invalid PIX key", () => {
+      // Arrange
+      const pixData = PixCodec.decode(PIX_CODE);
+      pixData.value[1].value[1].value = "not a key";
+
+      // Act
+      const { status, stdout } = pix(["validate", PixCodec.encode(pixData)]);
+
+      // Assert
+      expect(status).toBe(1);
+      expect(stdout).toBe(
+        "Invalid PIX code\n  error 26/01: Invalid PIX key: Invalid PIX key format\n"
+      );
+    });
+  });
+
+  describe("encode", () => {
+    it("should encode a PIX data file", () => {
+      // Arrange
+      const pixData = JSON.parse(readFileSync(PIX_JSON, "utf8"));
+
+      // Act
+      const { status, stdout } = pix(["encode", PIX_JSON]);
+      const json = pix(["encode", "-", "--json"], JSON.stringify(pixData));
+
+      // Assert
+      expect(status).toBe(0);
+      expect(stdout).toBe(`${PixCodec.encode(pixData)}\n`);
+      expect(JSON.parse(json.stdout)).toEqual({
+        pixCode: PixCodec.encode(pixData)
+      });
+    });
+
+    it("should fail on data that does not follow the schema", () => {
+      // Arrange
+      const pixData = JSON.parse(readFileSync(PIX_JSON, "utf8"));
+      pixData.value[1].value[0].length = "13";
+
+      // Act
+      const { status, stderr } = pix(["encode"], JSON.stringify(pixData));
+
+      // Assert
+      expect(status).toBe(1);
+      expect(stderr).toContain(
+        "pix: Invalid PIX data at /value/1/value/0/length: field 00 declares 13 characters but its value has 14"
+      );
+    });
+
+    it("should fail on invalid JSON", () => {
+      // Act
+      const { status, stderr } = pix(["encode"], "{ value: [");
+
+      // Assert
+      expect(status).toBe(1);
+      expect(stderr).toContain("pix: Invalid JSON in standard input");
+    });
+  });
+
+  describe("create", () => {
+    it("should create a static PIX code", () => {
+      // Arrange
+      const args = [
+        "create",
+        "--key",
+        "23484225000166",
+        "--name",
+        "Wisefox",
+        "--city",
+        "Belo Horizonte",
+        "--amount",
+        "1.234,56",
+        "--txid",
+        "ref1234"
+      ];
+
+      // Act
+      const { status, stdout } = pix(args);
+      const json = JSON.parse(pix([...args, "--json"]).stdout);
+
+      // Assert
+      expect(status).toBe(0);
+      expect(stdout).toBe(`${json.pixCode}\n`);
+      expect(json.payment).toEqual(
+        expect.objectContaining({
+          key: "23484225000166",
+          merchantName: "WISEFOX",
+          merchantCity: "BELO HORIZONTE",
+          amount: 1234.56,
+          txid: "ref1234"
+        })
+      );
+    });
+
+    it("should fail on invalid payment data", () => {
+      // Act
+      const { status, stderr } = pix([
+        "create",
+        "--key",
+        "23484225000166",
+        "--name",
+        "Wisefox",
+        "--city",
+        "Belo Horizonte",
+        "--amount",
+        "0,005"
+      ]);
+
+      // Assert
+      expect(status).toBe(1);
+      expect(stderr).toContain(
+        'pix: Invalid amount "0,005": at most 2 decimal places are allowed'
+      );
+    });
+
+    it("should normalize the key and reject invalid keys", () => {
+      // Act
+      const created = pix([
+        "create",
+        "--key",
+        "(31) 99999-8888",
+        "--name",
+        "Wisefox",
+        "--city",
+        "Belo Horizonte",
+        "--json"
+      ]);
+      const invalid = pix([
+        "create",
+        "--key",
+        "not a key",
+        "--name",
+        "a",
+        "--city",
+        "b"
+      ]);
+
+      // Assert
+      expect(created.status).toBe(0);
+      expect(JSON.parse(created.stdout).payment.key).toBe("+5531999998888");
+      expect(invalid.status).toBe(1);
+      expect(invalid.stdout).toBe("");
+      expect(invalid.stderr).toContain(
+        "pix: Invalid PIX key: Invalid PIX key format"
+      );
+    });
+
+    it("should require the key, name and city", () => {
+      // Act
+      const { status, stderr } = pix(["create", "--key", "23484225000166"]);
+
+      // Assert
+      expect(status).toBe(2);
+      expect(stderr).toContain("pix: Missing --name, --city");
+    });
+  });
+
+  describe("usage", () => {
+    it("should print the help", () => {
+      // Act
+      const { status, stdout } = pix(["help"]);
+
+      // Assert
+      expect(status).toBe(0);
+      expect(stdout).toContain("Usage: pix <command> [options]");
+    });
+
+    it.each([
+      [[], "pix: Missing command"],
+      [["sign"], 'pix: Unknown command "sign"'],
+      [["decode", "--key", "x"], "Unknown option '--key'"],
+      [["decode", PIX_CODE, PIX_CODE], "pix: Unexpected argument"]
+    ])("should reject the arguments %p", (args, message) => {
+      // Act
+      const { status, stderr } = pix(args);
+
+      // Assert
+      expect(status).toBe(2);
+      expect(stderr).toContain(message);
+    });
+  });
+});
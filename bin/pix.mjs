@@ -0,0 +1,280 @@
+#!/usr/bin/env node
+/**
+ * PIX Command Line
+ *
+ * Decodes, encodes, validates and creates PIX codes outside Salesforce with
+ * the PixCodec of the pixCodec service component. Every command prints text
+ * by default, or JSON with --json.
+ *
+ * Exit codes: 0 on success, 1 on invalid input (a malformed code, a code
+ * with errors or bad payment data) and 2 on invalid usage.
+ */
+
+import { readFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+import { PixCodec, PixDecodeError } from "../node/index.mjs";
+
+const EXIT_INVALID_INPUT = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: pix <command> [options]
+
+Commands:
+  decode [code]        Lists the fields of a PIX code
+  encode [file]        Encodes a PIX data file (see pix.json) into a PIX code
+  validate [code]      Checks a PIX code and lists its errors and warnings
+  create [options]     Creates a static PIX code
+  help                 Shows this help
+
+A code or file left out, or given as "-", is read from the standard input.
+
+Options:
+  --json               Prints JSON instead of text
+  -h, --help           Shows this help
+
+Options of create:
+  --key <key>          PIX key (required)
+  --name <name>        Merchant name (required)
+  --city <city>        Merchant city (required)
+  --amount <amount>    Amount, e.g. 1234.56 or 1.234,56
+  --txid <txid>        Transaction ID
+  --description <text> Payment description shown to the payer
+  --mcc <code>         Merchant Category Code (defaults to 0000)
+  --postal-code <code> Merchant postal code`;
+
+// Options accepted by every command
+const COMMON_OPTIONS = {
+  json: { type: "boolean" },
+  help: { type: "boolean", short: "h" }
+};
+
+// Options of create, mapped to the parameters of PixCodec.createPayment
+const PAYMENT_OPTIONS = {
+  key: "key",
+  name: "merchantName",
+  city: "merchantCity",
+  amount: "amount",
+  txid: "transactionId",
+  description: "description",
+  mcc: "mcc",
+  "postal-code": "postalCode"
+};
+
+const REQUIRED_PAYMENT_OPTIONS = ["key", "name", "city"];
+
+/**
+ * Error in the command line itself, reported with the usage exit code
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+/**
+ * Reads a command argument, or the standard input when it is left out or "-"
+ * @param {string} [argument] - Command argument
+ * @param {string} label - Name of the argument, for error messages
+ * @returns {string} - Argument or standard input
+ */
+function readArgument(argument, label) {
+  if (argument !== undefined && argument !== "-") {
+    return argument;
+  }
+
+  if (argument === undefined && process.stdin.isTTY) {
+    throw new UsageError(`Missing ${label}`);
+  }
+
+  return readFileSync(0, "utf8");
+}
+
+/**
+ * Lists decoded fields as text, nested fields indented under their template
+ * @param {Array} fields - Fields returned by PixCodec.decode
+ * @param {number} [depth] - Nesting level
+ * @returns {Array<string>} - One line per field
+ */
+function formatFields(fields, depth = 0) {
+  return fields.flatMap((field) => {
+    const label = `${"  ".repeat(depth)}${field.id} ${field.description || "Unknown field"}`;
+
+    return Array.isArray(field.value)
+      ? [label, ...formatFields(field.value, depth + 1)]
+      : [`${label}: ${field.value}`];
+  });
+}
+
+/**
+ * Lists the fields of a PIX code
+ * @param {Array<string>} positionals - PIX code (optional)
+ * @returns {Object} - Command result with text and data
+ */
+function decodeCommand([code]) {
+  const decoded = PixCodec.decode(readArgument(code, "PIX code").trim());
+  const lines = formatFields(decoded.value);
+
+  if (decoded.isDynamic) {
+    lines.push(`Dynamic code, payload at ${decoded.locationUrl}`);
+  }
+
+  return { text: lines.join("\n"), data: decoded };
+}
+
+/**
+ * Encodes a PIX data file into a PIX code, validating it against the schema
+ * @param {Array<string>} positionals - Path of the file (optional)
+ * @returns {Object} - Command result with text and data
+ */
+function encodeCommand([file]) {
+  const fromStdin = file === undefined || file === "-";
+  const json = fromStdin
+    ? readArgument(file, "PIX data file")
+    : readFileSync(file, "utf8");
+  let pixData;
+
+  try {
+    pixData = JSON.parse(json);
+  } catch (error) {
+    throw new Error(
+      `Invalid JSON in ${fromStdin ? "standard input" : file}: ${error.message}`
+    );
+  }
+
+  const pixCode = PixCodec.encode(pixData, { validate: true });
+
+  return { text: pixCode, data: { pixCode } };
+}
+
+/**
+ * Checks a PIX code, failing when it has errors (warnings are allowed)
+ * @param {Array<string>} positionals - PIX code (optional)
+ * @returns {Object} - Command result with text, data and exit code
+ */
+function validateCommand([code]) {
+  const result = PixCodec.validate(readArgument(code, "PIX code").trim());
+  const lines = [result.isValid ? "Valid PIX code" : "Invalid PIX code"];
+
+  result.issues.forEach((issue) => {
+    lines.push(
+      `  ${issue.severity} ${issue.path ? `${issue.path}: ` : ""}${issue.message}`
+    );
+  });
+
+  return {
+    text: lines.join("\n"),
+    data: result,
+    exitCode: result.isValid ? 0 : EXIT_INVALID_INPUT
+  };
+}
+
+/**
+ * Creates a static PIX code from the command options
+ * @param {Array<string>} positionals - Unused
+ * @param {Object} values - Parsed options
+ * @returns {Object} - Command result with text and data
+ */
+function createCommand(positionals, values) {
+  const missing = REQUIRED_PAYMENT_OPTIONS.filter((name) => !values[name]);
+
+  if (missing.length) {
+    throw new UsageError(
+      `Missing ${missing.map((name) => `--${name}`).join(", ")}`
+    );
+  }
+
+  const params = {};
+  Object.entries(PAYMENT_OPTIONS).forEach(([option, param]) => {
+    if (values[option] !== undefined) {
+      params[param] = values[option];
+    }
+  });
+
+  const pixCode = PixCodec.encode(PixCodec.createPayment(params));
+
+  return {
+    text: pixCode,
+    data: { pixCode, payment: PixCodec.parse(pixCode) }
+  };
+}
+
+// Commands, by name, with their options and how many arguments they take
+const COMMANDS = {
+  decode: { run: decodeCommand, maxPositionals: 1 },
+  encode: { run: encodeCommand, maxPositionals: 1 },
+  validate: { run: validateCommand, maxPositionals: 1 },
+  create: {
+    run: createCommand,
+    maxPositionals: 0,
+    options: Object.fromEntries(
+      Object.keys(PAYMENT_OPTIONS).map((name) => [name, { type: "string" }])
+    )
+  }
+};
+
+/**
+ * Runs a command line
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {number} - Exit code
+ */
+function main(argv) {
+  const [name, ...args] = argv;
+
+  if (name === "help" || name === "--help" || name === "-h") {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const command = COMMANDS[name];
+
+  try {
+    if (!command) {
+      throw new UsageError(
+        name ? `Unknown command "${name}"` : "Missing command"
+      );
+    }
+
+    let parsed;
+    try {
+      parsed = parseArgs({
+        args,
+        options: { ...COMMON_OPTIONS, ...command.options },
+        allowPositionals: true
+      });
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+
+    const { values, positionals } = parsed;
+
+    if (values.help) {
+      console.log(USAGE);
+      return 0;
+    }
+
+    if (positionals.length > command.maxPositionals) {
+      throw new UsageError(
+        `Unexpected argument "${positionals[command.maxPositionals]}"`
+      );
+    }
+
+    const { text, data, exitCode = 0 } = command.run(positionals, values);
+    console.log(values.json ? JSON.stringify(data, null, 2) : text);
+
+    return exitCode;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`pix: ${error.message}\nRun "pix help" for usage.`);
+      return EXIT_USAGE;
+    }
+
+    const location =
+      error instanceof PixDecodeError ? ` (at offset ${error.offset})` : "";
+    console.error(`pix: ${error.message}${location}`);
+
+    return EXIT_INVALID_INPUT;
+  }
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,240 @@
+import { createElement } from "@lwc/engine-dom";
+import PixCodeReader from "c/pixCodeReader";
+
+// Mock the loadScript function
+jest.mock("lightning/platformResourceLoader", () => ({
+  loadScript: jest.fn()
+}));
+
+import { loadScript } from "lightning/platformResourceLoader";
+
+const PIX_CODE =
+  "00020126360014BR.GOV.BCB.PIX0114234842250001665204000053039865406123.455802BR5907WISEFOX6014BELO HORIZONTE62450507ref123450300017BR.GOV.BCB.BRCODE01051.0.063040D3F";
+
+// Resolves pending promise callbacks
+const flushPromises = () =>
+  Promise.resolve().then().then().then().then().then();
+
+describe("c-pix-code-reader", () => {
+  let consoleErrorSpy;
+
+  beforeEach(() => {
+    consoleErrorSpy = jest.spyOn(console, "error").mockImplementation();
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    // Clean up DOM
+    while (document.body.firstChild) {
+      document.body.removeChild(document.body.firstChild);
+    }
+    consoleErrorSpy.mockRestore();
+    delete window.qr;
+    delete global.createImageBitmap;
+  });
+
+  const createReader = () => {
+    const element = createElement("c-pix-code-reader", {
+      is: PixCodeReader
+    });
+    document.body.appendChild(element);
+    return element;
+  };
+
+  const pasteCode = async (element, value) => {
+    const textarea = element.shadowRoot.querySelector('[data-field="pixCode"]');
+    textarea.dispatchEvent(new CustomEvent("change", { detail: { value } }));
+    await Promise.resolve();
+  };
+
+  it("should show nothing but the inputs when no code is given", () => {
+    // Arrange & Act
+    const element = createReader();
+
+    // Assert
+    expect(
+      element.shadowRoot.querySelector('[data-field="pixCode"]')
+    ).not.toBeNull();
+    expect(element.shadowRoot.querySelector('[data-id="fields"]')).toBeNull();
+  });
+
+  it("should list every field, including nested template fields", async () => {
+    // Arrange
+    const element = createReader();
+
+    // Act
+    await pasteCode(element, ` ${PIX_CODE}\n`);
+
+    // Assert
+    const rows = element.shadowRoot.querySelectorAll(
+      '[data-id="fields"] tbody tr'
+    );
+    const paths = Array.from(rows).map((row) => row.dataset.path);
+    expect(paths).toEqual([
+      "00",
+      "26",
+      "26/00",
+      "26/01",
+      "52",
+      "53",
+      "54",
+      "58",
+      "59",
+      "60",
+      "62",
+      "62/05",
+      "62/50",
+      "62/50/00",
+      "62/50/01",
+      "63"
+    ]);
+
+    const txidCells = element.shadowRoot.querySelectorAll(
+      '[data-path="62/05"] td'
+    );
+    expect(txidCells[1].textContent).toBe("Transaction ID");
+    expect(txidCells[2].textContent).toBe("07");
+    expect(txidCells[3].textContent).toBe("ref1234");
+  });
+
+  it("should list a repeated field once per occurrence", async () => {
+    // Arrange
+    const element = createReader();
+
+    // Act
+    await pasteCode(
+      element,
+      PIX_CODE.replace("5907WISEFOX", "5907WISEFOX5907WISEFOX")
+    );
+
+    // Assert
+    const rows = element.shadowRoot.querySelectorAll(
+      '[data-id="fields"] tbody [data-path="59"]'
+    );
+    expect(rows).toHaveLength(2);
+    expect(consoleErrorSpy).not.toHaveBeenCalledWith(
+      expect.stringContaining("Duplicated")
+    );
+  });
+
+  it("should show the CRC status, code type and key type", async () => {
+    // Arrange
+    const element = createReader();
+
+    // Act
+    element.pixCode = PIX_CODE;
+    await Promise.resolve();
+
+    // Assert
+    const text = (id) =>
+      element.shadowRoot.querySelector(`[data-id="${id}"]`).textContent.trim();
+    expect(text("crcStatus")).toBe("Valid");
+    expect(text("codeType")).toBe("Static");
+    expect(text("keyType")).toBe("CNPJ");
+    expect(element.shadowRoot.querySelector('[data-id="issues"]')).toBeNull();
+  });
+
+  it("should flag an invalid CRC and report validation issues", async () => {
+    // Arrange
+    const element = createReader();
+    const handler = jest.fn();
+    element.addEventListener("decoded", handler);
+
+    // Act
+    await pasteCode(element, PIX_CODE.slice(0, -4) + "FFFF");
+
+    // Assert
+    expect(
+      element.shadowRoot.querySelector('[data-id="crcStatus"]').textContent
+    ).toContain("Invalid CRC. Expected: 0D3F, Got: FFFF");
+    expect(
+      element.shadowRoot.querySelector('[data-id="issues"]').textContent
+    ).toContain("Invalid CRC");
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler.mock.calls[0][0].detail.isValid).toBe(false);
+  });
+
+  it("should show the fields read before a malformed field", async () => {
+    // Arrange
+    const element = createReader();
+
+    // Act
+    await pasteCode(element, "00020126506304C846");
+
+    // Assert
+    const rows = element.shadowRoot.querySelectorAll(
+      '[data-id="fields"] tbody tr'
+    );
+    expect(Array.from(rows).map((row) => row.dataset.path)).toEqual(["00"]);
+    expect(
+      element.shadowRoot.querySelector('[data-id="issues"]').textContent
+    ).toContain("Field 26 is truncated");
+  });
+
+  it("should decode an uploaded QR code image", async () => {
+    // Arrange
+    loadScript.mockResolvedValue();
+    window.qr = { decodeQR: jest.fn().mockReturnValue(PIX_CODE) };
+    global.createImageBitmap = jest
+      .fn()
+      .mockResolvedValue({ width: 2, height: 2 });
+    const imageData = { data: new Uint8ClampedArray(16), width: 2, height: 2 };
+    const getContextSpy = jest
+      .spyOn(HTMLCanvasElement.prototype, "getContext")
+      .mockReturnValue({
+        drawImage: jest.fn(),
+        getImageData: jest.fn().mockReturnValue(imageData)
+      });
+    const element = createReader();
+    const file = new File(["png"], "qr.png", { type: "image/png" });
+
+    // Act
+    element.shadowRoot
+      .querySelector('[data-field="image"]')
+      .dispatchEvent(new CustomEvent("change", { detail: { files: [file] } }));
+    await flushPromises();
+
+    // Assert
+    expect(global.createImageBitmap).toHaveBeenCalledWith(file);
+    expect(window.qr.decodeQR).toHaveBeenCalledWith(imageData);
+    expect(element.pixCode).toBe(PIX_CODE);
+    expect(
+      element.shadowRoot.querySelector('[data-id="keyType"]').textContent
+    ).toBe("CNPJ");
+    getContextSpy.mockRestore();
+  });
+
+  it("should show an error when the image has no QR code", async () => {
+    // Arrange
+    loadScript.mockResolvedValue();
+    window.qr = {
+      decodeQR: jest.fn(() => {
+        throw new Error("Finder: len(found) = 0");
+      })
+    };
+    global.createImageBitmap = jest
+      .fn()
+      .mockResolvedValue({ width: 1, height: 1 });
+    const getContextSpy = jest
+      .spyOn(HTMLCanvasElement.prototype, "getContext")
+      .mockReturnValue({
+        drawImage: jest.fn(),
+        getImageData: jest.fn().mockReturnValue({})
+      });
+    const element = createReader();
+
+    // Act
+    element.shadowRoot.querySelector('[data-field="image"]').dispatchEvent(
+      new CustomEvent("change", {
+        detail: { files: [new File(["png"], "photo.png")] }
+      })
+    );
+    await flushPromises();
+
+    // Assert
+    expect(element.shadowRoot.querySelector("h2").textContent).toBe(
+      "Failed to read QR code image: No QR code found in the image (Finder: len(found) = 0)"
+    );
+    getContextSpy.mockRestore();
+  });
+});
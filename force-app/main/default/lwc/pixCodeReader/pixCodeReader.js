@@ -0,0 +1,242 @@
+import { LightningElement, api, track } from "lwc";
+import PixCodec from "c/pixCodec";
+import QrDecoder from "c/qrDecoder";
+
+// Labels of the key types returned by PixCodec.validateKey
+const KEY_TYPE_LABELS = {
+  CPF: "CPF",
+  CNPJ: "CNPJ",
+  EMAIL: "Email",
+  PHONE: "Phone",
+  RANDOM: "Random key"
+};
+
+/**
+ * Flattens decoded fields into table rows, nested template fields following
+ * their template; rows are keyed by position since leniently decoded codes
+ * may repeat a path
+ * @param {Array} fields - Fields returned by PixCodec.decode
+ * @param {string} [parentPath] - Path of the enclosing template
+ * @param {number} [level] - Nesting level
+ * @param {Array} [rows] - Rows collected so far
+ * @returns {Array} - Table rows
+ */
+function flattenFields(fields, parentPath = "", level = 0, rows = []) {
+  fields.forEach((field) => {
+    const path = parentPath ? `${parentPath}/${field.id}` : field.id;
+    const isTemplate = Array.isArray(field.value);
+
+    rows.push({
+      key: `${rows.length}`,
+      path,
+      description: field.description || "Unknown field",
+      length: field.length,
+      value: isTemplate ? "" : field.value,
+      isTemplate,
+      indentStyle: `padding-left: ${level * 1.5}rem`
+    });
+
+    if (isTemplate) {
+      flattenFields(field.value, path, level + 1, rows);
+    }
+  });
+
+  return rows;
+}
+
+export default class PixCodeReader extends LightningElement {
+  _pixCode = "";
+  @track result; // PixCodec.decode result (lenient)
+  @track issues = [];
+  @track _errorMessage = "";
+  @track _isLoading = false;
+
+  // Getters & Setters
+  /**
+   * PIX code to inspect; setting it decodes the code right away
+   */
+  @api
+  get pixCode() {
+    return this._pixCode;
+  }
+
+  set pixCode(value) {
+    this.decodePixCode(value);
+  }
+
+  get isLoading() {
+    return this._isLoading;
+  }
+
+  get errorMessage() {
+    return this._errorMessage;
+  }
+
+  get hasError() {
+    return this._errorMessage !== "";
+  }
+
+  get hasResult() {
+    return Boolean(this.result);
+  }
+
+  get fieldRows() {
+    return this.result ? flattenFields(this.result.value) : [];
+  }
+
+  get codeType() {
+    return this.result && this.result.isDynamic ? "Dynamic" : "Static";
+  }
+
+  get locationUrl() {
+    return this.result ? this.result.locationUrl : null;
+  }
+
+  get crcError() {
+    return this.result
+      ? this.result.errors.find((error) => error.reason === "INVALID_CRC")
+      : undefined;
+  }
+
+  get isCrcValid() {
+    return this.hasResult && !this.crcError;
+  }
+
+  get crcStatus() {
+    return this.crcError ? this.crcError.message : "Valid";
+  }
+
+  get crcStatusClass() {
+    return this.isCrcValid
+      ? "slds-text-color_success"
+      : "slds-text-color_error";
+  }
+
+  get keyType() {
+    const merchantAccount = this.findField(this.result.value, "26");
+    const keyField = merchantAccount
+      ? this.findField(merchantAccount.value, "01")
+      : undefined;
+
+    if (!keyField) {
+      return this.result.isDynamic ? "None (dynamic code)" : "Missing";
+    }
+
+    const validation = PixCodec.validateKey(keyField.value);
+    return validation.isValid
+      ? KEY_TYPE_LABELS[validation.type]
+      : `Invalid (${validation.error})`;
+  }
+
+  get hasIssues() {
+    return this.issues.length > 0;
+  }
+
+  get issueRows() {
+    return this.issues.map((issue, index) => ({
+      key: `${index}`,
+      path: issue.path || "—",
+      message: issue.message,
+      severity: issue.severity,
+      iconName:
+        issue.severity === "error" ? "utility:error" : "utility:warning",
+      iconVariant: issue.severity === "error" ? "error" : "warning"
+    }));
+  }
+
+  // Public Functions (@api)
+  /**
+   * Decodes a PIX code and shows its breakdown
+   *
+   * Malformed codes are decoded leniently so that the fields read before the
+   * problem are still shown, along with every validation issue.
+   * @param {string} value - PIX code (copia e cola)
+   */
+  @api
+  decodePixCode(value) {
+    const pixString = typeof value === "string" ? value.trim() : "";
+
+    this._pixCode = pixString;
+    this.result = undefined;
+    this.issues = [];
+    this._errorMessage = "";
+
+    if (!pixString) {
+      return;
+    }
+
+    try {
+      this.result = PixCodec.decode(pixString, { lenient: true });
+      this.issues = PixCodec.validate(pixString).issues;
+    } catch (error) {
+      this._errorMessage = "Failed to decode PIX code: " + error.message;
+      console.error("PIX code decoding error:", error);
+    }
+
+    this.dispatchEvent(
+      new CustomEvent("decoded", {
+        detail: {
+          pixCode: pixString,
+          isValid:
+            this.hasResult &&
+            !this.issues.some((issue) => issue.severity === "error"),
+          issues: this.issues
+        }
+      })
+    );
+  }
+
+  // Private Functions
+  findField(fields, id) {
+    return Array.isArray(fields)
+      ? fields.find((field) => field.id === id)
+      : undefined;
+  }
+
+  handleCodeChange(event) {
+    this.decodePixCode(event.detail.value);
+  }
+
+  handleImageChange(event) {
+    const [file] = event.detail.files || [];
+    if (file) {
+      this.decodeImage(file);
+    }
+  }
+
+  handlePaste(event) {
+    const data = event.clipboardData;
+    const hasImage = Array.from((data && data.items) || []).some(
+      (item) => item.kind === "file" && item.type.startsWith("image/")
+    );
+
+    // Pasted text goes to the text area as usual
+    if (hasImage) {
+      event.preventDefault();
+      this.decodeImage(data);
+    }
+  }
+
+  /**
+   * Reads the PIX code from a QR code image and decodes it
+   * @param {Blob|DataTransfer} source - Image file or clipboard data
+   */
+  async decodeImage(source) {
+    try {
+      this._isLoading = true;
+      await QrDecoder.load(this);
+      const pixString =
+        source instanceof Blob
+          ? await QrDecoder.decodeImage(source)
+          : await QrDecoder.decodeClipboard(source);
+      this.decodePixCode(pixString);
+    } catch (error) {
+      this.result = undefined;
+      this.issues = [];
+      this._errorMessage = "Failed to read QR code image: " + error.message;
+      console.error("QR code image decoding error:", error);
+    } finally {
+      this._isLoading = false;
+    }
+  }
+}
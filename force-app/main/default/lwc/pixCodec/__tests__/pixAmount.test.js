@@ -0,0 +1,105 @@
+import { PixAmount } from "../pixAmount";
+
+describe("PixAmount", () => {
+  describe("parse", () => {
+    it.each([
+      ["10", 1000],
+      ["10.5", 1050],
+      ["10,50", 1050],
+      ["1.234,56", 123456],
+      ["1,234.56", 123456],
+      ["1.234.567", 123456700],
+      ["1,234,567.89", 123456789],
+      ["R$ 1.234,56", 123456],
+      ["R$ 1.234,56", 123456],
+      [" 0,01 ", 1],
+      ["9999999999.99", 999999999999]
+    ])("should parse %p into %p centavos", (value, centavos) => {
+      // Act & Assert
+      expect(PixAmount.parse(value)).toBe(centavos);
+    });
+
+    it.each([
+      [10, 1000],
+      [19.99, 1999],
+      [0.1 + 0.2, 30],
+      [1.15, 115]
+    ])("should convert the number %p into %p centavos", (value, centavos) => {
+      // Act & Assert
+      expect(PixAmount.parse(value)).toBe(centavos);
+    });
+
+    it("should read a lone separator using the given locale", () => {
+      // Act & Assert
+      expect(PixAmount.parse("1.234", { locale: "pt-BR" })).toBe(123400);
+      expect(PixAmount.parse("1,234", { locale: "en-US" })).toBe(123400);
+      expect(PixAmount.parse("1.5", { locale: "en-US" })).toBe(150);
+    });
+
+    it.each([
+      ["1.234", "ambiguous separator"],
+      ["1,234", "ambiguous separator"],
+      ["-1,00", "cannot be negative"],
+      [-5, "cannot be negative"],
+      ["0", "must be greater than zero"],
+      [0, "must be greater than zero"],
+      ["10.999", "ambiguous separator"],
+      ["0,999", "at most 2 decimal places"],
+      ["1234.567", "at most 2 decimal places"],
+      [1.005, "at most 2 decimal places"],
+      ["10000000000", "exceeds the 13 characters of field 54"],
+      ["99999999999999999999.00", "exceeds the 13 characters of field 54"],
+      ["12,34,56", "expected a number"],
+      ["1.23.45", "expected a number"],
+      ["1.2345,67", "expected a number"],
+      ["abc", "expected a number"],
+      ["", "expected a number"],
+      [NaN, "expected a finite number"],
+      [null, "expected a string or a number"]
+    ])("should reject %p", (value, message) => {
+      // Act & Assert
+      expect(() => PixAmount.parse(value)).toThrow(message);
+    });
+
+    it("should reject unknown locales", () => {
+      // Act & Assert
+      expect(() => PixAmount.parse("10,00", { locale: "fr-FR" })).toThrow(
+        'Unsupported locale "fr-FR"'
+      );
+    });
+  });
+
+  describe("toField", () => {
+    it.each([
+      [1, "0.01"],
+      [1050, "10.50"],
+      [123456, "1234.56"]
+    ])("should format %p centavos as %p", (centavos, text) => {
+      // Act & Assert
+      expect(PixAmount.toField(centavos)).toBe(text);
+    });
+
+    it("should reject fractional centavos", () => {
+      // Act & Assert
+      expect(() => PixAmount.toField(10.5)).toThrow("Invalid centavos");
+    });
+  });
+
+  describe("normalize", () => {
+    it("should return the value of field 54", () => {
+      // Act & Assert
+      expect(PixAmount.normalize("1.234,5")).toBe("1234.50");
+    });
+  });
+
+  describe("format", () => {
+    it.each([
+      ["1234.56", "R$ 1.234,56"],
+      [0.5, "R$ 0,50"],
+      ["1,234,567.89", "R$ 1.234.567,89"]
+    ])("should display %p as %p", (value, text) => {
+      // Act & Assert
+      expect(PixAmount.format(value)).toBe(text);
+    });
+  });
+});
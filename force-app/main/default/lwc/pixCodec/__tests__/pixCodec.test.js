@@ -0,0 +1,1333 @@
+import {
+  PixCodec,
+  PixDecodeError,
+  PixDataError,
+  calculateCRC16
+} from "../pixCodec";
+import * as pixCodecModule from "c/pixCodec";
+
+const PIX_CODE =
+  "00020126360014BR.GOV.BCB.PIX0114234842250001665204000053039865406123.455802BR5907WISEFOX6014BELO HORIZONTE62450507ref123450300017BR.GOV.BCB.BRCODE01051.0.063040D3F";
+
+describe("PixCodec", () => {
+  describe("createDynamicPayment", () => {
+    it("should build a dynamic payload with the location URL in 26/25", () => {
+      // Arrange
+      const params = {
+        url: "https://pix.example.com/qr/v2/cobv/9d36b84fc70b478fb95c12729b90ca25",
+        merchantName: "Fulano de Tal",
+        merchantCity: "Brasilia"
+      };
+
+      // Act
+      const pixData = PixCodec.createDynamicPayment(params);
+      const merchantAccount = pixData.value.find((field) => field.id === "26");
+      const additionalData = pixData.value.find((field) => field.id === "62");
+
+      // Assert
+      expect(merchantAccount.value).toEqual([
+        expect.objectContaining({ id: "00", value: "BR.GOV.BCB.PIX" }),
+        expect.objectContaining({
+          id: "25",
+          value: "pix.example.com/qr/v2/cobv/9d36b84fc70b478fb95c12729b90ca25"
+        })
+      ]);
+      expect(pixData.value.find((field) => field.id === "54")).toBeUndefined();
+      expect(additionalData.value[0]).toEqual(
+        expect.objectContaining({ id: "05", value: "***" })
+      );
+    });
+
+    it("should add the point of initiation method for single use codes", () => {
+      // Act
+      const pixData = PixCodec.createDynamicPayment({
+        url: "pix.example.com/qr/v2/cob/abc",
+        merchantName: "FULANO",
+        merchantCity: "BRASILIA",
+        singleUse: true
+      });
+
+      // Assert
+      expect(pixData.value).toContainEqual(
+        expect.objectContaining({ id: "01", value: "12" })
+      );
+      expect(PixCodec.encode(pixData)).toMatch(/^000201010212/);
+    });
+
+    it("should require the location URL", () => {
+      expect(() =>
+        PixCodec.createDynamicPayment({
+          merchantName: "FULANO",
+          merchantCity: "BRASILIA"
+        })
+      ).toThrow("Missing required parameters");
+    });
+  });
+
+  describe("decode", () => {
+    it("should flag dynamic codes and expose the location URL", () => {
+      // Arrange
+      const pixString = PixCodec.encode(
+        PixCodec.createDynamicPayment({
+          url: "https://pix.example.com/qr/v2/cob/abc",
+          merchantName: "FULANO",
+          merchantCity: "BRASILIA"
+        })
+      );
+
+      // Act
+      const decoded = PixCodec.decode(pixString);
+
+      // Assert
+      expect(decoded.isDynamic).toBe(true);
+      expect(decoded.locationUrl).toBe("pix.example.com/qr/v2/cob/abc");
+    });
+
+    it("should flag static codes as not dynamic", () => {
+      // Arrange
+      const pixString = PixCodec.encode(
+        PixCodec.createPayment({
+          key: "23484225000166",
+          merchantName: "WISEFOX",
+          merchantCity: "BELO HORIZONTE",
+          amount: "123.45"
+        })
+      );
+
+      // Act
+      const decoded = PixCodec.decode(pixString);
+
+      // Assert
+      expect(decoded.isDynamic).toBe(false);
+      expect(decoded.locationUrl).toBeNull();
+    });
+  });
+
+  describe("tag dictionary", () => {
+    it("should decode other merchant account and unreserved templates recursively", () => {
+      // Arrange
+      const pixString = PixCodec.encode({
+        value: [
+          { id: "00", value: "01" },
+          {
+            id: "27",
+            value: [
+              { id: "00", value: "COM.EXAMPLE" },
+              { id: "01", value: "abc" }
+            ]
+          },
+          { id: "52", value: "0000" },
+          { id: "53", value: "986" },
+          { id: "58", value: "BR" },
+          { id: "59", value: "FULANO" },
+          { id: "60", value: "BRASILIA" },
+          {
+            id: "62",
+            value: [
+              { id: "05", value: "***" },
+              {
+                id: "50",
+                value: [
+                  { id: "00", value: "BR.GOV.BCB.BRCODE" },
+                  { id: "01", value: "1.0.0" }
+                ]
+              }
+            ]
+          },
+          { id: "80", value: [{ id: "00", value: "COM.EXAMPLE.LOYALTY" }] }
+        ]
+      });
+
+      // Act
+      const fields = PixCodec.decode(pixString).value;
+      const otherAccount = fields.find((field) => field.id === "27");
+      const additionalData = fields.find((field) => field.id === "62");
+      const unreserved = fields.find((field) => field.id === "80");
+
+      // Assert
+      expect(otherAccount.description).toBe("Merchant Account Information");
+      expect(otherAccount.value).toEqual([
+        { id: "00", length: "11", value: "COM.EXAMPLE", description: "GUI" },
+        {
+          id: "01",
+          length: "03",
+          value: "abc",
+          description: "Template specific data"
+        }
+      ]);
+      expect(additionalData.value[1].value).toEqual([
+        {
+          id: "00",
+          length: "17",
+          value: "BR.GOV.BCB.BRCODE",
+          description: "GUI"
+        },
+        { id: "01", length: "05", value: "1.0.0", description: "version" }
+      ]);
+      expect(unreserved.description).toBe("Unreserved Template");
+      expect(unreserved.value[0].value).toBe("COM.EXAMPLE.LOYALTY");
+      expect(fields[fields.length - 1].id).toBe("63");
+    });
+
+    it("should describe fields by path", () => {
+      expect(PixCodec.getTagDefinition("62/05")).toEqual({
+        id: "05",
+        description: "Transaction ID",
+        template: false,
+        format: "ANS",
+        maxLength: 25
+      });
+      expect(PixCodec.getTagDefinition("85").template).toBe(true);
+      expect(PixCodec.getTagDefinition("59/01")).toBeNull();
+    });
+  });
+
+  describe("UTF-8 payloads", () => {
+    const expectedPixString =
+      "00020126360014BR.GOV.BCB.PIX0114234842250001665204000053039865802BR5905JOSÉ6010SÃO PAULO63048421";
+
+    it("should compute lengths and CRC over UTF-8 bytes", () => {
+      // Act
+      const pixString = PixCodec.encode({
+        value: [
+          { id: "00", value: "01" },
+          {
+            id: "26",
+            value: [
+              { id: "00", value: "BR.GOV.BCB.PIX" },
+              { id: "01", value: "23484225000166" }
+            ]
+          },
+          { id: "52", value: "0000" },
+          { id: "53", value: "986" },
+          { id: "58", value: "BR" },
+          { id: "59", value: "JOSÉ" },
+          { id: "60", value: "SÃO PAULO" }
+        ]
+      });
+
+      // Assert
+      expect(pixString).toBe(expectedPixString);
+    });
+
+    it("should round-trip accented merchant data", () => {
+      // Act
+      const decoded = PixCodec.decode(expectedPixString);
+      const merchantName = decoded.value.find((field) => field.id === "59");
+      const merchantCity = decoded.value.find((field) => field.id === "60");
+
+      // Assert
+      expect(merchantName).toEqual(
+        expect.objectContaining({ length: "05", value: "JOSÉ" })
+      );
+      expect(merchantCity).toEqual(
+        expect.objectContaining({ length: "10", value: "SÃO PAULO" })
+      );
+      expect(PixCodec.encode(decoded)).toBe(expectedPixString);
+    });
+
+    it.each([
+      ["5904JOSÉ", 4, 5],
+      ["5901É", 1, 2]
+    ])(
+      "should reject %s, whose length counts characters instead of bytes",
+      (merchantName, declared, bytes) => {
+        // Arrange
+        const payload = `00020126360014BR.GOV.BCB.PIX0114234842250001665204000053039865802BR${merchantName}6009SAO PAULO6304`;
+        const pixString = payload + calculateCRC16(payload);
+        const message = `Invalid length for field 59 at offset 67: declares ${declared} bytes but a multi-byte character ends at byte ${bytes}`;
+
+        // Act & Assert
+        expect(() => PixCodec.decode(pixString)).toThrow(
+          expect.objectContaining({
+            reason: "INVALID_LENGTH",
+            path: "59",
+            message
+          })
+        );
+        expect(PixCodec.validate(pixString)).toEqual(
+          expect.objectContaining({ isValid: false })
+        );
+        expect(PixCodec.validate(pixString).issues).toContainEqual({
+          severity: "error",
+          path: "59",
+          message
+        });
+        expect(() => PixCodec.canonicalize(pixString)).toThrow(message);
+      }
+    );
+
+    it("should count characters outside the BMP as four bytes", () => {
+      // Act
+      const pixString = PixCodec.encode({
+        value: [{ id: "62", value: [{ id: "05", value: "A😀" }] }]
+      });
+      const decoded = PixCodec.decode(pixString);
+
+      // Assert
+      expect(pixString.startsWith("62090505A😀")).toBe(true);
+      expect(decoded.value[0].value[0].value).toBe("A😀");
+    });
+  });
+
+  describe("validate", () => {
+    const validPixString =
+      "00020126360014BR.GOV.BCB.PIX0114234842250001665204000053039865406123.455802BR5907WISEFOX6014BELO HORIZONTE62450507ref123450300017BR.GOV.BCB.BRCODE01051.0.063040D3F";
+
+    it("should report no issues for a valid code", () => {
+      // Act
+      const result = PixCodec.validate(validPixString);
+
+      // Assert
+      expect(result).toEqual({ isValid: true, issues: [] });
+    });
+
+    it("should never throw for malformed input", () => {
+      expect(PixCodec.validate(undefined).isValid).toBe(false);
+      expect(PixCodec.validate("not a pix code").isValid).toBe(false);
+      expect(PixCodec.validate("0002").isValid).toBe(false);
+    });
+
+    it("should report truncated fields and missing mandatory fields", () => {
+      // Act
+      const result = PixCodec.validate("000201265000");
+      const paths = result.issues.map((issue) => issue.path);
+
+      // Assert
+      expect(result.isValid).toBe(false);
+      expect(result.issues[0]).toEqual({
+        severity: "error",
+        path: "26",
+        message: expect.stringContaining("truncated")
+      });
+      expect(paths).toEqual(
+        expect.arrayContaining(["52", "53", "58", "59", "60", "63"])
+      );
+    });
+
+    it("should report maximum lengths, malformed amounts and bad CRC", () => {
+      // Arrange
+      const pixString = PixCodec.encode({
+        value: [
+          { id: "00", value: "01" },
+          {
+            id: "26",
+            value: [
+              { id: "00", value: "BR.GOV.BCB.PIX" },
+              { id: "01", value: "23484225000166" }
+            ]
+          },
+          { id: "52", value: "0000" },
+          { id: "53", value: "986" },
+          { id: "54", value: "1,50" },
+          { id: "58", value: "BR" },
+          { id: "59", value: "A MERCHANT NAME LONGER THAN ALLOWED" },
+          { id: "60", value: "BELO HORIZONTE MG" },
+          {
+            id: "62",
+            value: [{ id: "05", value: "A".repeat(26) }]
+          }
+        ]
+      });
+
+      // Act
+      const result = PixCodec.validate(pixString.slice(0, -4) + "0000");
+      const paths = result.issues.map((issue) => issue.path);
+
+      // Assert
+      expect(paths).toEqual(["59", "60", "62/05", "54", "63"]);
+      expect(result.issues.every((issue) => issue.severity === "error")).toBe(
+        true
+      );
+    });
+
+    it("should report an invalid PIX key", () => {
+      // Arrange
+      const pixString = validPixString.replace(
+        "0114234842250001665204",
+        "0114234842250001675204"
+      );
+      const payload = pixString.slice(0, -4);
+
+      // Act
+      const result = PixCodec.validate(payload + calculateCRC16(payload));
+
+      // Assert
+      expect(result).toEqual({
+        isValid: false,
+        issues: [
+          {
+            severity: "error",
+            path: "26/01",
+            message: `Invalid PIX key: ${PixCodec.validateKey("23484225000167").error}`
+          }
+        ]
+      });
+    });
+
+    it("should report wrong field ordering", () => {
+      // Arrange
+      // encode would put field 54 back in place
+      const payload =
+        "000201" +
+        "26360014BR.GOV.BCB.PIX011423484225000166" +
+        "52040000" +
+        "5303986" +
+        "5802BR" +
+        "540510.00" +
+        "5907WISEFOX" +
+        "6014BELO HORIZONTE" +
+        "6304";
+      const pixString = payload + calculateCRC16(payload);
+
+      // Act
+      const result = PixCodec.validate(pixString);
+
+      // Assert
+      expect(result.isValid).toBe(true);
+      expect(result.issues).toEqual([
+        {
+          severity: "warning",
+          path: "54",
+          message: expect.stringContaining("ascending ID order")
+        }
+      ]);
+    });
+
+    it("should warn about transaction IDs with symbols", () => {
+      // Arrange
+      const pixString = PixCodec.encode({
+        value: [
+          { id: "00", value: "01" },
+          {
+            id: "26",
+            value: [
+              { id: "00", value: "BR.GOV.BCB.PIX" },
+              { id: "01", value: "23484225000166" }
+            ]
+          },
+          { id: "52", value: "0000" },
+          { id: "53", value: "986" },
+          { id: "58", value: "BR" },
+          { id: "59", value: "WISEFOX" },
+          { id: "60", value: "BELO HORIZONTE" },
+          { id: "62", value: [{ id: "05", value: "order-1234" }] }
+        ]
+      });
+
+      // Act
+      const result = PixCodec.validate(pixString);
+
+      // Assert
+      expect(result.isValid).toBe(true);
+      expect(result.issues).toEqual([
+        {
+          severity: "warning",
+          path: "62/05",
+          message: expect.stringContaining("only letters and digits")
+        }
+      ]);
+    });
+  });
+
+  describe("validateKey", () => {
+    it.each([
+      ["529.982.247-25", "CPF", "52998224725"],
+      ["23.484.225/0001-66", "CNPJ", "23484225000166"],
+      ["12.abc.345/01de-35", "CNPJ", "12ABC34501DE35"],
+      ["+55 (31) 99999-8888", "PHONE", "+5531999998888"],
+      ["31999998888", "PHONE", "+5531999998888"],
+      ["(31) 3333-4444", "PHONE", "+553133334444"],
+      [" Fulano@Example.com ", "EMAIL", "fulano@example.com"],
+      [
+        "6A7B8C9D-1E2F-4A5B-8C7D-9E0F1A2B3C4D",
+        "RANDOM",
+        "6a7b8c9d-1e2f-4a5b-8c7d-9e0f1a2b3c4d"
+      ]
+    ])("should accept %s as %s", (key, type, normalized) => {
+      expect(PixCodec.validateKey(key)).toEqual({
+        isValid: true,
+        type,
+        normalized
+      });
+    });
+
+    it.each([
+      ["52998224726", "Invalid CPF check digits"],
+      ["11111111111", "Invalid CPF check digits"],
+      ["23484225000167", "Invalid CNPJ check digits"],
+      ["12ABC34501DE36", "Invalid CNPJ check digits"],
+      ["+5520999998888", "Invalid phone key"],
+      ["+55319999988", "Invalid phone key"],
+      ["fulano@example", "Invalid email key"],
+      ["not a key", "Invalid PIX key format"]
+    ])("should reject %s", (key, error) => {
+      const result = PixCodec.validateKey(key);
+
+      expect(result.isValid).toBe(false);
+      expect(result.error).toContain(error);
+    });
+  });
+
+  describe("validateTxid", () => {
+    it.each([
+      ["***", {}],
+      ["ref12345", {}],
+      ["A".repeat(25), {}],
+      ["A".repeat(26), { dynamic: true }],
+      ["a1".repeat(17) + "b", { dynamic: true }]
+    ])("should accept %s", (txid, options) => {
+      expect(PixCodec.validateTxid(txid, options)).toEqual({ isValid: true });
+    });
+
+    it.each([
+      ["", {}, "non-empty string"],
+      ["ref 123", {}, "only letters and digits"],
+      ["ref-123", {}, "only letters and digits"],
+      ["pedido_1", {}, "only letters and digits"],
+      ["A".repeat(26), {}, "at most 25 characters"],
+      ["***", { dynamic: true }, "only letters and digits"],
+      ["A".repeat(25), { dynamic: true }, "26 to 35 characters"],
+      ["A".repeat(36), { dynamic: true }, "26 to 35 characters"]
+    ])("should reject %p", (txid, options, error) => {
+      const result = PixCodec.validateTxid(txid, options);
+
+      expect(result.isValid).toBe(false);
+      expect(result.error).toContain(error);
+    });
+  });
+
+  describe("generateTxid", () => {
+    it("should generate 25 alphanumeric characters by default", () => {
+      // Act
+      const txid = PixCodec.generateTxid();
+
+      // Assert
+      expect(txid).toMatch(/^[A-Za-z0-9]{25}$/);
+      expect(PixCodec.validateTxid(txid)).toEqual({ isValid: true });
+    });
+
+    it("should generate 35 characters for dynamic charges", () => {
+      // Act
+      const txid = PixCodec.generateTxid({ dynamic: true });
+
+      // Assert
+      expect(txid).toMatch(/^[A-Za-z0-9]{35}$/);
+      expect(PixCodec.validateTxid(txid, { dynamic: true })).toEqual({
+        isValid: true
+      });
+    });
+
+    it("should start with the prefix and keep the requested length", () => {
+      // Act
+      const txid = PixCodec.generateTxid({
+        prefix: "001Dn00000ABCDEFGH",
+        length: 25
+      });
+
+      // Assert
+      expect(txid).toHaveLength(25);
+      expect(txid.startsWith("001Dn00000ABCDEFGH")).toBe(true);
+    });
+
+    it("should not repeat IDs", () => {
+      // Act
+      const txids = new Set(
+        Array.from({ length: 1000 }, () => PixCodec.generateTxid())
+      );
+
+      // Assert
+      expect(txids.size).toBe(1000);
+    });
+
+    it("should reject invalid prefixes and lengths", () => {
+      expect(() => PixCodec.generateTxid({ prefix: "order-1" })).toThrow(
+        "Invalid transaction ID prefix"
+      );
+      expect(() => PixCodec.generateTxid({ prefix: "A".repeat(20) })).toThrow(
+        "must leave room for 7 random characters"
+      );
+      expect(() => PixCodec.generateTxid({ length: 26 })).toThrow(
+        "Invalid transaction ID length"
+      );
+      expect(() =>
+        PixCodec.generateTxid({ dynamic: true, length: 25 })
+      ).toThrow("Invalid transaction ID length");
+    });
+  });
+
+  describe("normalizeKey", () => {
+    it("should return the canonical key", () => {
+      expect(PixCodec.normalizeKey("529.982.247-25")).toBe("52998224725");
+    });
+
+    it("should throw for invalid keys", () => {
+      expect(() => PixCodec.normalizeKey("52998224726")).toThrow(
+        "Invalid PIX key: Invalid CPF check digits"
+      );
+    });
+  });
+
+  describe("decode errors", () => {
+    it.each([
+      ["00020126506304C846", "TRUNCATED_VALUE", 6, "26"],
+      ["00020126XX6304C2EC", "INVALID_LENGTH", 6, "26"],
+      ["000201X102016304E9F6", "INVALID_TAG", 6, "X1"],
+      ["00020100020163040389", "DUPLICATE_TAG", 6, "00"],
+      ["00020162080510005063046D29", "TRUNCATED_VALUE", 10, "62/05"]
+    ])(
+      "should throw a PixDecodeError for %s",
+      (pixString, reason, offset, path) => {
+        // Arrange
+        let thrown;
+
+        // Act
+        try {
+          PixCodec.decode(pixString);
+        } catch (error) {
+          thrown = error;
+        }
+
+        // Assert
+        expect(thrown).toBeInstanceOf(PixDecodeError);
+        expect(thrown).toEqual(
+          expect.objectContaining({
+            reason,
+            offset,
+            path,
+            tagId: path.split("/").pop()
+          })
+        );
+      }
+    );
+
+    it("should throw a PixDecodeError for an invalid CRC", () => {
+      expect(() => PixCodec.decode("0002016304FFFF")).toThrow(PixDecodeError);
+    });
+
+    it("should report trailing data after the CRC", () => {
+      // Act
+      const result = PixCodec.decode("0002016304AAE6XYZ", { lenient: true });
+
+      // Assert
+      expect(result.errors.map((error) => error.reason)).toEqual([
+        "INVALID_CRC",
+        "TRAILING_DATA"
+      ]);
+    });
+
+    it("should return partial results in lenient mode", () => {
+      // Act
+      const result = PixCodec.decode("000201520400005320630435A5", {
+        lenient: true
+      });
+
+      // Assert
+      expect(result.value.map((field) => field.id)).toEqual(["00", "52"]);
+      expect(result.errors).toHaveLength(1);
+      expect(result.errors[0]).toEqual(
+        expect.objectContaining({
+          reason: "TRUNCATED_VALUE",
+          tagId: "53",
+          offset: 14
+        })
+      );
+    });
+  });
+
+  describe("parse and build", () => {
+    const staticPixString =
+      "00020126360014BR.GOV.BCB.PIX0114234842250001665204000053039865406123.455802BR5907WISEFOX6014BELO HORIZONTE62450507ref123450300017BR.GOV.BCB.BRCODE01051.0.063040D3F";
+
+    it("should parse a static code into a flat payment object", () => {
+      expect(PixCodec.parse(staticPixString)).toEqual({
+        key: "23484225000166",
+        keyType: "CNPJ",
+        merchantName: "WISEFOX",
+        merchantCity: "BELO HORIZONTE",
+        amount: 123.45,
+        txid: "ref1234",
+        description: null,
+        mcc: "0000",
+        currency: "986",
+        country: "BR",
+        postalCode: null,
+        isDynamic: false,
+        locationUrl: null,
+        unknownFields: [
+          { path: "62/50", value: "0017BR.GOV.BCB.BRCODE01051.0.0" }
+        ]
+      });
+    });
+
+    it("should parse a dynamic code", () => {
+      // Arrange
+      const pixString = PixCodec.encode(
+        PixCodec.createDynamicPayment({
+          url: "https://pix.example.com/qr/v2/cob/abc",
+          merchantName: "FULANO",
+          merchantCity: "BRASILIA",
+          singleUse: true
+        })
+      );
+
+      // Act
+      const payment = PixCodec.parse(pixString);
+
+      // Assert
+      expect(payment).toEqual(
+        expect.objectContaining({
+          key: null,
+          keyType: null,
+          amount: null,
+          txid: "***",
+          isDynamic: true,
+          locationUrl: "pix.example.com/qr/v2/cob/abc"
+        })
+      );
+      expect(payment.unknownFields[0]).toEqual({ path: "01", value: "12" });
+    });
+
+    it.each([
+      staticPixString,
+      "00020126580014br.gov.bcb.pix0136123e4567-e12b-12d1-a456-4266554400005204000053039865802BR5913Fulano de Tal6008BRASILIA62070503***63041D3D",
+      "00020126360014BR.GOV.BCB.PIX0114234842250001665204000053039865802BR5905JOSÉ6010SÃO PAULO63048421"
+    ])("should build the exact code it parsed: %s", (pixString) => {
+      expect(PixCodec.build(PixCodec.parse(pixString))).toBe(pixString);
+    });
+
+    it("should build a code from a hand-written payment object", () => {
+      // Act
+      const pixString = PixCodec.build({
+        key: "23484225000166",
+        merchantName: "WISEFOX",
+        merchantCity: "BELO HORIZONTE",
+        amount: 10,
+        txid: "***"
+      });
+
+      // Assert
+      expect(PixCodec.parse(pixString)).toEqual(
+        expect.objectContaining({
+          amount: 10,
+          mcc: "0000",
+          currency: "986",
+          country: "BR",
+          txid: "***",
+          unknownFields: []
+        })
+      );
+    });
+  });
+
+  describe("createPayment", () => {
+    it("should encode the optional EMV fields in BR Code order", () => {
+      // Act
+      const pixData = PixCodec.createPayment({
+        key: "23484225000166",
+        merchantName: "Wisefox",
+        merchantCity: "Belo Horizonte",
+        amount: "10",
+        transactionId: "ref1234",
+        description: "Order 1234",
+        mcc: "5812",
+        postalCode: "30130010",
+        alternateLanguage: {
+          language: "en",
+          merchantName: "WISEFOX",
+          merchantCity: "BELO HORIZONTE"
+        }
+      });
+      const pixString = PixCodec.encode(pixData);
+      const payment = PixCodec.parse(pixString);
+
+      // Assert
+      expect(PixCodec.decode(pixString).value.map((field) => field.id)).toEqual(
+        ["00", "26", "52", "53", "54", "58", "59", "60", "61", "62", "64", "63"]
+      );
+      expect(payment).toEqual(
+        expect.objectContaining({
+          description: "Order 1234",
+          mcc: "5812",
+          postalCode: "30130010",
+          txid: "ref1234"
+        })
+      );
+      expect(payment.unknownFields).toContainEqual({
+        path: "64",
+        value: "0002EN0107WISEFOX0214BELO HORIZONTE"
+      });
+    });
+
+    it("should write the key in its normalized form", () => {
+      // Act
+      const pixData = PixCodec.createPayment({
+        key: "(31) 99999-8888",
+        merchantName: "WISEFOX",
+        merchantCity: "BELO HORIZONTE"
+      });
+
+      // Assert
+      expect(PixCodec.encode(pixData)).toContain("0114+5531999998888");
+      expect(() =>
+        PixCodec.createPayment({
+          key: "not a key",
+          merchantName: "WISEFOX",
+          merchantCity: "BELO HORIZONTE"
+        })
+      ).toThrow("Invalid PIX key: Invalid PIX key format");
+    });
+
+    it("should sanitize the merchant name and city in the alternate language", () => {
+      // Act
+      const pixString = PixCodec.encode(
+        PixCodec.createPayment({
+          key: "23484225000166",
+          merchantName: "WISEFOX",
+          merchantCity: "BELO HORIZONTE",
+          alternateLanguage: {
+            language: "pt",
+            merchantName: "X".repeat(40),
+            merchantCity: "São João del-Rei"
+          }
+        })
+      );
+
+      // Assert
+      expect(pixString).toContain(
+        `64470002PT0125${"X".repeat(25)}0208SAO JOAO6304`
+      );
+      expect(PixCodec.validate(pixString)).toEqual({
+        isValid: true,
+        issues: []
+      });
+    });
+
+    it("should accept a numeric MCC", () => {
+      // Act
+      const pixString = PixCodec.encode(
+        PixCodec.createPayment({
+          key: "23484225000166",
+          merchantName: "WISEFOX",
+          merchantCity: "BELO HORIZONTE",
+          mcc: 5812
+        })
+      );
+
+      // Assert
+      expect(PixCodec.parse(pixString).mcc).toBe("5812");
+    });
+
+    it("should reject malformed optional fields", () => {
+      const params = {
+        key: "23484225000166",
+        merchantName: "WISEFOX",
+        merchantCity: "BELO HORIZONTE"
+      };
+
+      expect(() => PixCodec.createPayment({ ...params, mcc: "58" })).toThrow(
+        "Invalid MCC"
+      );
+      expect(() =>
+        PixCodec.createPayment({ ...params, postalCode: "30130-010 BRAZIL" })
+      ).toThrow("Invalid postal code");
+      expect(() =>
+        PixCodec.createPayment({
+          ...params,
+          alternateLanguage: { language: "ENG", merchantName: "WISEFOX" }
+        })
+      ).toThrow("Invalid alternate language");
+    });
+
+    it("should reject a description that does not fit in field 26", () => {
+      const params = {
+        key: "23484225000166",
+        merchantName: "WISEFOX",
+        merchantCity: "BELO HORIZONTE"
+      };
+      const emailKey = `${"a".repeat(60)}@example.com`;
+
+      expect(() =>
+        PixCodec.createPayment({ ...params, description: "x".repeat(73) })
+      ).toThrow("Invalid description: must be at most 72 characters");
+      expect(() =>
+        PixCodec.createPayment({
+          ...params,
+          key: emailKey,
+          description: "x".repeat(40)
+        })
+      ).toThrow(
+        "Invalid merchant account information: the key and description take 138 bytes of field 26, at most 99 fit"
+      );
+      expect(
+        PixCodec.parse(
+          PixCodec.encode(
+            PixCodec.createPayment({ ...params, description: "x".repeat(59) })
+          )
+        ).description
+      ).toBe("x".repeat(59));
+    });
+
+    it("should sanitize the merchant name and city", () => {
+      // Act
+      const pixData = PixCodec.createPayment({
+        key: "23484225000166",
+        merchantName: "Padaria  Pão de Açúcar & Confeitaria Ltda.",
+        merchantCity: "São João del-Rei"
+      });
+      const payment = PixCodec.parse(PixCodec.encode(pixData));
+
+      // Assert
+      expect(payment.merchantName).toBe("PADARIA PAO DE ACUCAR");
+      expect(payment.merchantCity).toBe("SAO JOAO");
+    });
+
+    it.each([
+      ["order 1234", "Invalid transaction ID: must contain only letters"],
+      ["order-1234", "Invalid transaction ID: must contain only letters"],
+      ["A".repeat(26), "Invalid transaction ID: must be at most 25 characters"]
+    ])("should reject the transaction ID %p", (transactionId, message) => {
+      // Act & Assert
+      expect(() =>
+        PixCodec.createPayment({
+          key: "23484225000166",
+          merchantName: "WISEFOX",
+          merchantCity: "BELO HORIZONTE",
+          transactionId
+        })
+      ).toThrow(message);
+    });
+
+    it.each([
+      ["1.234,56", "1234.56"],
+      ["1,234.56", "1234.56"],
+      ["R$ 10,5", "10.50"],
+      [0.1 + 0.2, "0.30"],
+      [19.99, "19.99"]
+    ])("should write the amount %p as %p", (amount, expected) => {
+      // Act
+      const pixData = PixCodec.createPayment({
+        key: "23484225000166",
+        merchantName: "WISEFOX",
+        merchantCity: "BELO HORIZONTE",
+        amount
+      });
+
+      // Assert
+      expect(pixData.value.find((field) => field.id === "54").value).toBe(
+        expected
+      );
+    });
+
+    it.each([
+      ["-10.00", "cannot be negative"],
+      ["0,00", "must be greater than zero"],
+      ["10000000000.00", "exceeds the 13 characters of field 54"],
+      ["0.005", "at most 2 decimal places"],
+      ["ten", "expected a number"]
+    ])("should reject the amount %p", (amount, message) => {
+      // Act & Assert
+      expect(() =>
+        PixCodec.createPayment({
+          key: "23484225000166",
+          merchantName: "WISEFOX",
+          merchantCity: "BELO HORIZONTE",
+          amount
+        })
+      ).toThrow(message);
+    });
+  });
+
+  describe("validateData", () => {
+    it("should accept created and decoded payloads", () => {
+      // Arrange
+      const created = PixCodec.createPayment({
+        key: "23484225000166",
+        merchantName: "WISEFOX",
+        merchantCity: "BELO HORIZONTE",
+        amount: "123.45"
+      });
+
+      // Act & Assert
+      expect(PixCodec.validateData(created)).toEqual({
+        isValid: true,
+        errors: []
+      });
+      expect(PixCodec.validateData(PixCodec.decode(PIX_CODE)).isValid).toBe(
+        true
+      );
+    });
+
+    it("should compare fixed lengths with the UTF-8 length of the values", () => {
+      // Act
+      const { errors } = PixCodec.validateData({
+        value: [
+          { id: "00", length: "02", value: "01" },
+          {
+            id: "26",
+            length: "36",
+            value: [
+              { id: "00", length: "14", value: "BR.GOV.BCB.PIX" },
+              { id: "01", length: "14", value: "23484225000166" }
+            ]
+          },
+          { id: "59", length: "05", value: "JOSÉ" },
+          { id: "60", length: "04", value: "SÃO PAULO" },
+          {
+            id: "62",
+            length: "variable",
+            value: [{ id: "05", length: "02", value: "***" }]
+          }
+        ]
+      });
+
+      // Assert
+      expect(errors).toEqual([
+        {
+          path: "/value/3/length",
+          message: "field 60 declares 4 characters but its value has 10"
+        },
+        {
+          path: "/value/4/value/0/length",
+          message: "field 05 declares 2 characters but its value has 3"
+        }
+      ]);
+    });
+
+    it("should check the lengths of templates", () => {
+      // Act
+      const { errors } = PixCodec.validateData({
+        value: [
+          {
+            id: "26",
+            length: "35",
+            value: [{ id: "00", value: "BR.GOV.BCB.PIX" }]
+          }
+        ]
+      });
+
+      // Assert
+      expect(errors).toEqual([
+        {
+          path: "/value/0/length",
+          message: "field 26 declares 35 characters but its value has 18"
+        }
+      ]);
+    });
+
+    it("should report values longer than 99 bytes", () => {
+      // Act
+      const { isValid, errors } = PixCodec.validateData({
+        value: [
+          { id: "59", value: "x".repeat(120) },
+          {
+            id: "62",
+            length: "99",
+            value: [{ id: "05", value: "ÇÃO".repeat(20) }]
+          }
+        ]
+      });
+
+      // Assert
+      expect(isValid).toBe(false);
+      expect(errors).toEqual([
+        {
+          path: "/value/0/value",
+          message: "field 59 is 120 bytes long, at most 99 fit in a field"
+        },
+        {
+          path: "/value/1/value/0/value",
+          message: "field 05 is 100 bytes long, at most 99 fit in a field"
+        },
+        {
+          path: "/value/1/value",
+          message: "field 62 is 104 bytes long, at most 99 fit in a field"
+        }
+      ]);
+    });
+
+    it("should report schema errors without checking lengths", () => {
+      // Act
+      const { isValid, errors } = PixCodec.validateData({
+        value: [
+          { id: "00", length: "03", value: "01" },
+          { id: "52", value: 0 }
+        ]
+      });
+
+      // Assert
+      expect(isValid).toBe(false);
+      expect(errors).toEqual([
+        {
+          path: "/value/1/value",
+          message: "expected a string or an array, got number"
+        }
+      ]);
+    });
+  });
+
+  describe("encode validation", () => {
+    const pixData = {
+      value: [
+        { id: "00", value: "01" },
+        { value: "skipped" },
+        { id: "52", length: "04", value: "0000" }
+      ]
+    };
+
+    it("should skip malformed fields unless asked to validate", () => {
+      // Act & Assert
+      expect(PixCodec.encode(pixData)).toMatch(
+        /^000201520400006304[0-9A-F]{4}$/
+      );
+    });
+
+    it("should throw a PixDataError with the offending path", () => {
+      // Act
+      let thrown;
+      try {
+        PixCodec.encode(pixData, { validate: true });
+      } catch (error) {
+        thrown = error;
+      }
+
+      // Assert
+      expect(thrown).toBeInstanceOf(PixDataError);
+      expect(thrown.path).toBe("/value/1");
+      expect(thrown.message).toBe('Invalid PIX data at /value/1: missing "id"');
+    });
+
+    it("should reject values longer than 99 bytes", () => {
+      // Act & Assert
+      expect(() =>
+        PixCodec.encode(
+          { value: [{ id: "59", value: "x".repeat(120) }] },
+          { validate: true }
+        )
+      ).toThrow(
+        "Invalid PIX data at /value/0/value: field 59 is 120 bytes long, at most 99 fit in a field"
+      );
+    });
+
+    it("should encode valid data", () => {
+      // Arrange
+      const decoded = PixCodec.decode(PIX_CODE);
+
+      // Act & Assert
+      expect(PixCodec.encode(decoded, { validate: true })).toBe(PIX_CODE);
+    });
+  });
+
+  describe("canonical order", () => {
+    it("should encode fields in canonical order whatever the input order", () => {
+      // Act
+      const pixString = PixCodec.encode({
+        value: [
+          { id: "63", value: "0000" },
+          { id: "80", value: "X" },
+          { id: "64", value: [{ id: "00", value: "EN" }] },
+          {
+            id: "62",
+            value: [
+              { id: "50", value: [{ id: "01", value: "1.0.0" }] },
+              { id: "05", value: "***" }
+            ]
+          },
+          { id: "54", value: "1.00" },
+          {
+            id: "26",
+            value: [
+              { id: "01", value: "k" },
+              { id: "00", value: "g" }
+            ]
+          },
+          { id: "01", value: "12" },
+          { id: "00", value: "01" }
+        ]
+      });
+
+      // Assert
+      expect(pixString.slice(0, -4)).toBe(
+        "000201010212" +
+          "26100001g0101k" +
+          "54041.00" +
+          "6220" +
+          "0503***" +
+          "500901051.0.0" +
+          "64060002EN" +
+          "8001X" +
+          "6304"
+      );
+    });
+
+    it.each([
+      [
+        [
+          { id: "00", value: "01" },
+          { id: "54", value: "1.00" },
+          { id: "54", value: "2.00" }
+        ],
+        "/value/2",
+        "duplicate field 54, already at /value/1"
+      ],
+      [
+        [
+          {
+            id: "62",
+            value: [
+              { id: "05", value: "A" },
+              { id: "05", value: "B" }
+            ]
+          }
+        ],
+        "/value/0/value/1",
+        "duplicate field 05, already at /value/0/value/0"
+      ]
+    ])("should reject repeated fields %#", (fields, path, message) => {
+      // Act
+      let thrown;
+      try {
+        PixCodec.encode({ value: fields });
+      } catch (error) {
+        thrown = error;
+      }
+
+      // Assert
+      expect(thrown).toBeInstanceOf(PixDataError);
+      expect(thrown.path).toBe(path);
+      expect(thrown.message).toBe(`Invalid PIX data at ${path}: ${message}`);
+      expect(PixCodec.validateData({ value: fields }).errors).toEqual([
+        { path, message }
+      ]);
+    });
+
+    it.each([
+      [[{ id: "59", value: "x".repeat(100) }], "/value/0/value", 100],
+      [
+        [
+          {
+            id: "26",
+            value: [
+              { id: "00", value: "BR.GOV.BCB.PIX" },
+              { id: "01", value: `${"a".repeat(60)}@example.com` },
+              { id: "02", value: "x".repeat(40) }
+            ]
+          }
+        ],
+        "/value/0/value",
+        138
+      ]
+    ])(
+      "should reject values longer than 99 bytes %#",
+      (fields, path, length) => {
+        // Act & Assert
+        expect(() => PixCodec.encode({ value: fields })).toThrow(
+          new PixDataError([
+            {
+              path,
+              message: `field ${fields[0].id} is ${length} bytes long, at most 99 fit in a field`
+            }
+          ])
+        );
+      }
+    );
+
+    it("should ignore a CRC given in the input", () => {
+      // Act & Assert
+      expect(
+        PixCodec.encode({
+          value: [
+            { id: "00", value: "01" },
+            { id: "63", value: "FFFF" },
+            { id: "63", value: "0000" }
+          ]
+        })
+      ).toBe(PixCodec.encode({ value: [{ id: "00", value: "01" }] }));
+    });
+  });
+
+  describe("canonicalize", () => {
+    it("should put the fields of a code in canonical order", () => {
+      // Arrange
+      const payload =
+        "000201" +
+        "6014BELO HORIZONTE" +
+        "5907WISEFOX" +
+        "26360114234842250001660014BR.GOV.BCB.PIX" +
+        "52040000" +
+        "5802BR" +
+        "5303986" +
+        "5406123.45" +
+        "624550300017BR.GOV.BCB.BRCODE01051.0.00507ref1234" +
+        "6304";
+
+      // Act & Assert
+      expect(PixCodec.canonicalize(payload + calculateCRC16(payload))).toBe(
+        PIX_CODE
+      );
+    });
+
+    it("should leave canonical codes unchanged", () => {
+      // Act & Assert
+      expect(PixCodec.canonicalize(PIX_CODE)).toBe(PIX_CODE);
+    });
+
+    it("should reject invalid codes", () => {
+      // Act & Assert
+      expect(() =>
+        PixCodec.canonicalize(PIX_CODE.replace("0D3F", "FFFF"))
+      ).toThrow(PixDecodeError);
+    });
+  });
+
+  describe("service component", () => {
+    it("should export the codec as the default and named exports", () => {
+      // Assert
+      expect(pixCodecModule.default).toBe(PixCodec);
+      expect(pixCodecModule.PixCodec).toBe(PixCodec);
+      expect(pixCodecModule.PixDecodeError).toBe(PixDecodeError);
+      expect(pixCodecModule.PixDataError).toBe(PixDataError);
+      expect(pixCodecModule.PixDataSchema.validate({ value: [] }).isValid).toBe(
+        true
+      );
+      expect(pixCodecModule.PixAmount.normalize("1.234,56")).toBe("1234.56");
+      expect(pixCodecModule.PixMerchant.sanitizeCity("São Paulo").value).toBe(
+        "SAO PAULO"
+      );
+    });
+
+    it("should decode and encode with the standalone functions", () => {
+      // Act
+      const decoded = pixCodecModule.decode(PIX_CODE);
+
+      // Assert
+      expect(decoded).toEqual(PixCodec.decode(PIX_CODE));
+      expect(pixCodecModule.encode(decoded)).toBe(PIX_CODE);
+    });
+
+    it("should create payments and validate keys with the standalone functions", () => {
+      // Arrange
+      const params = {
+        key: "23484225000166",
+        merchantName: "WISEFOX",
+        merchantCity: "BELO HORIZONTE",
+        amount: "123.45"
+      };
+
+      // Act & Assert
+      expect(pixCodecModule.createPayment(params)).toEqual(
+        PixCodec.createPayment(params)
+      );
+      expect(pixCodecModule.validateKey("+5511987654321")).toEqual(
+        PixCodec.validateKey("+5511987654321")
+      );
+      expect(() => pixCodecModule.decode("0002")).toThrow(PixDecodeError);
+    });
+
+    it("should calculate the CRC of a payload", () => {
+      // Act & Assert
+      expect(pixCodecModule.calculateCRC16(PIX_CODE.slice(0, -4))).toBe("0D3F");
+      expect(pixCodecModule.calculateCRC16("123456789")).toBe("29B1");
+    });
+  });
+});
@@ -0,0 +1,125 @@
+import { readFileSync } from "fs";
+import { resolve } from "path";
+import { PixDataError, PixDataSchema } from "../pixDataSchema";
+
+const readJson = (fileName) =>
+  JSON.parse(readFileSync(resolve(__dirname, "../../../../../../", fileName)));
+
+describe("PixDataSchema", () => {
+  describe("schema", () => {
+    it("should match the published pix.schema.json", () => {
+      // Act & Assert
+      expect(PixDataSchema.schema).toEqual(readJson("pix.schema.json"));
+    });
+
+    it("should return a copy of the schema", () => {
+      // Arrange
+      PixDataSchema.schema.required.push("extra");
+
+      // Act & Assert
+      expect(PixDataSchema.schema.required).toEqual(["value"]);
+    });
+  });
+
+  describe("validate", () => {
+    it("should accept the sample pix.json", () => {
+      // Act & Assert
+      expect(PixDataSchema.validate(readJson("pix.json"))).toEqual({
+        isValid: true,
+        errors: []
+      });
+    });
+
+    it("should accept fields without a description or a length", () => {
+      // Act
+      const result = PixDataSchema.validate({
+        value: [{ id: "26", value: [{ id: "00", value: "BR.GOV.BCB.PIX" }] }]
+      });
+
+      // Assert
+      expect(result.isValid).toBe(true);
+    });
+
+    it.each([
+      [null, "", "expected an object, got null"],
+      [{}, "", 'missing "value"'],
+      [{ value: "00020101" }, "/value", "expected an array, got string"],
+      [{ value: ["00"] }, "/value/0", "expected an object, got string"],
+      [{ value: [{ value: "01" }] }, "/value/0", 'missing "id"'],
+      [{ value: [{ id: "00" }] }, "/value/0", 'missing "value"'],
+      [
+        { value: [{ id: 0, value: "01" }] },
+        "/value/0/id",
+        "expected a string, got number"
+      ],
+      [
+        { value: [{ id: "0", value: "01" }] },
+        "/value/0/id",
+        '"0" does not match the pattern ^\\d{2}$'
+      ],
+      [
+        { value: [{ id: "00", length: "2", value: "01" }] },
+        "/value/0/length",
+        '"2" does not match the pattern ^(\\d{2}|variable)$'
+      ],
+      [
+        { value: [{ id: "54", value: 10.5 }] },
+        "/value/0/value",
+        "expected a string or an array, got number"
+      ],
+      [
+        { value: [{ id: "26", value: [{ id: "01", value: null }] }] },
+        "/value/0/value/0/value",
+        "expected a string or an array, got null"
+      ]
+    ])("should reject %p", (pixData, path, message) => {
+      // Act & Assert
+      expect(PixDataSchema.validate(pixData)).toEqual({
+        isValid: false,
+        errors: [{ path, message }]
+      });
+    });
+
+    it("should report every problem found", () => {
+      // Act
+      const { errors } = PixDataSchema.validate({
+        value: [
+          { id: "00", value: 1 },
+          { id: "26", value: [{ id: "1", value: "x" }] }
+        ]
+      });
+
+      // Assert
+      expect(errors.map((error) => error.path)).toEqual([
+        "/value/0/value",
+        "/value/1/value/0/id"
+      ]);
+    });
+  });
+});
+
+describe("PixDataError", () => {
+  it("should describe the first problem and count the others", () => {
+    // Act
+    const error = new PixDataError([
+      { path: "/value/0/id", message: "expected a string, got number" },
+      { path: "/value/2", message: 'missing "value"' }
+    ]);
+
+    // Assert
+    expect(error).toBeInstanceOf(Error);
+    expect(error.name).toBe("PixDataError");
+    expect(error.message).toBe(
+      "Invalid PIX data at /value/0/id: expected a string, got number (and 1 more problems)"
+    );
+    expect(error.path).toBe("/value/0/id");
+    expect(error.errors).toHaveLength(2);
+  });
+
+  it("should leave out the path of the root", () => {
+    // Act & Assert
+    expect(
+      new PixDataError([{ path: "", message: 'missing "value"' }]).message
+    ).toBe('Invalid PIX data: missing "value"');
+  });
+});
@@ -0,0 +1,108 @@
+import { PixMerchant } from "../pixMerchant";
+
+describe("PixMerchant", () => {
+  describe("sanitizeName", () => {
+    it.each([
+      ["WISEFOX", "WISEFOX"],
+      ["Wisefox", "WISEFOX"],
+      ["José", "JOSE"],
+      ["Açaí & Cia.", "ACAI & CIA."],
+      ["Ærø Øresund", "AERO ORESUND"],
+      ["  Loja   do\tZé  ", "LOJA DO ZE"],
+      ["Café@Home #1", "CAFE HOME 1"],
+      ["O'Brien/Filhos - Ltda", "O'BRIEN/FILHOS - LTDA"]
+    ])("should sanitize %p into %p", (name, expected) => {
+      // Act & Assert
+      expect(PixMerchant.sanitizeName(name).value).toBe(expected);
+    });
+
+    it("should truncate at the last word that fits in 25 characters", () => {
+      // Act
+      const result = PixMerchant.sanitizeName(
+        "Comércio de Materiais de Construção Silva"
+      );
+
+      // Assert
+      expect(result.value).toBe("COMERCIO DE MATERIAIS DE");
+      expect(result.changes.map((change) => change.reason)).toEqual([
+        "UPPERCASED",
+        "TRANSLITERATED",
+        "TRUNCATED"
+      ]);
+    });
+
+    it("should keep a word ending exactly at the limit", () => {
+      // Act & Assert
+      expect(
+        PixMerchant.sanitizeName("ABCDEFGHIJKLMNOPQRSTUVWXY Z").value
+      ).toBe("ABCDEFGHIJKLMNOPQRSTUVWXY");
+    });
+
+    it("should cut a single long word in the middle", () => {
+      // Act & Assert
+      expect(PixMerchant.sanitizeName("A".repeat(30)).value).toBe(
+        "A".repeat(25)
+      );
+    });
+
+    it("should drop punctuation left at the end after truncating", () => {
+      // Act & Assert
+      expect(
+        PixMerchant.sanitizeName("Supermercado Bom Preço & Filhos").value
+      ).toBe("SUPERMERCADO BOM PRECO");
+    });
+
+    it("should report every change along with the original value", () => {
+      // Act
+      const result = PixMerchant.sanitizeName(" Café*Bar ");
+
+      // Assert
+      expect(result).toEqual({
+        value: "CAFE BAR",
+        original: " Café*Bar ",
+        changes: [
+          { reason: "UPPERCASED", message: expect.any(String) },
+          { reason: "TRANSLITERATED", message: expect.any(String) },
+          { reason: "REMOVED_SYMBOLS", message: expect.any(String) },
+          { reason: "COLLAPSED_WHITESPACE", message: expect.any(String) }
+        ]
+      });
+    });
+
+    it("should report no changes for a compliant name", () => {
+      // Act & Assert
+      expect(PixMerchant.sanitizeName("WISEFOX LTDA").changes).toEqual([]);
+    });
+
+    it.each([
+      [undefined, "expected a non-empty string"],
+      ["   ", "expected a non-empty string"],
+      ["***", "no letters or digits left"]
+    ])("should reject %p", (name, message) => {
+      // Act & Assert
+      expect(() => PixMerchant.sanitizeName(name)).toThrow(
+        "Invalid merchant name"
+      );
+      expect(() => PixMerchant.sanitizeName(name)).toThrow(message);
+    });
+  });
+
+  describe("sanitizeCity", () => {
+    it.each([
+      ["São Paulo", "SAO PAULO"],
+      ["Belo Horizonte", "BELO HORIZONTE"],
+      ["Santa Bárbara d'Oeste", "SANTA BARBARA"],
+      ["Florianópolis", "FLORIANOPOLIS"]
+    ])("should sanitize %p into %p", (city, expected) => {
+      // Act & Assert
+      expect(PixMerchant.sanitizeCity(city).value).toBe(expected);
+    });
+
+    it("should reject an empty city", () => {
+      // Act & Assert
+      expect(() => PixMerchant.sanitizeCity("")).toThrow(
+        "Invalid merchant city: expected a non-empty string"
+      );
+    });
+  });
+});
@@ -0,0 +1,243 @@
+/**
+ * PIX Amount Library
+ *
+ * Parses, validates and formats transaction amounts (field 54). Amounts are
+ * handled as integer centavos so that no floating point rounding can change
+ * the value charged.
+ */
+
+// Field 54 holds at most 13 characters, e.g. "9999999999.99"
+const MAX_FIELD_LENGTH = 13;
+
+// Decimal and thousands separators of the supported input locales
+const LOCALE_SEPARATORS = {
+  "pt-BR": { decimal: ",", group: "." },
+  "en-US": { decimal: ".", group: "," }
+};
+
+const BRL_FORMAT = new Intl.NumberFormat("pt-BR", {
+  style: "currency",
+  currency: "BRL"
+});
+
+/**
+ * Formats centavos as the text of field 54
+ * @param {number} centavos - Amount in centavos
+ * @returns {string} - Amount with "." and 2 decimals (e.g. "1234.56")
+ */
+function toFieldText(centavos) {
+  const reais = Math.floor(centavos / 100);
+  const cents = String(centavos % 100).padStart(2, "0");
+  return `${reais}.${cents}`;
+}
+
+/**
+ * Works out the decimal and thousands separators of an amount
+ *
+ * With both "." and "," present, the last one is the decimal separator. A
+ * separator that repeats groups thousands. A single separator followed by
+ * exactly 3 digits after a possible thousands group (e.g. "1.234") could be
+ * either, so it is rejected.
+ * @param {string} text - Amount without currency symbol or spaces
+ * @param {string} input - Original input, for error messages
+ * @returns {Object} - Separators with decimal and group
+ */
+function detectSeparators(text, input) {
+  const lastDot = text.lastIndexOf(".");
+  const lastComma = text.lastIndexOf(",");
+
+  if (lastDot !== -1 && lastComma !== -1) {
+    return lastDot > lastComma
+      ? LOCALE_SEPARATORS["en-US"]
+      : LOCALE_SEPARATORS["pt-BR"];
+  }
+
+  const separator = lastDot !== -1 ? "." : ",";
+  const index = Math.max(lastDot, lastComma);
+
+  if (index === -1) {
+    return LOCALE_SEPARATORS["en-US"];
+  }
+
+  const isDecimal = text.indexOf(separator) === index;
+  if (
+    isDecimal &&
+    text.length - index - 1 === 3 &&
+    /^[1-9]\d{0,2}$/.test(text.slice(0, index))
+  ) {
+    throw new Error(
+      `Invalid amount "${input}": ambiguous separator, write it with 2 decimal places (e.g. 1.234,00 or 1234.00)`
+    );
+  }
+
+  const decimal = isDecimal ? separator : separator === "." ? "," : ".";
+  return decimal === "."
+    ? LOCALE_SEPARATORS["en-US"]
+    : LOCALE_SEPARATORS["pt-BR"];
+}
+
+/**
+ * Parses an amount written as text into centavos
+ * @param {string} input - Amount text
+ * @param {string} [locale] - "pt-BR" or "en-US"; detected when omitted
+ * @returns {number} - Amount in centavos
+ */
+function parseText(input, locale) {
+  const text = input.trim().replace(/^R\$/i, "").replace(/\s/g, "");
+
+  if (text.startsWith("-")) {
+    throw new Error(`Invalid amount "${input}": cannot be negative`);
+  }
+
+  if (!/^[\d.,]+$/.test(text) || !/\d/.test(text)) {
+    throw new Error(
+      `Invalid amount "${input}": expected a number such as 1234.56 or 1.234,56`
+    );
+  }
+
+  const separators = locale
+    ? LOCALE_SEPARATORS[locale]
+    : detectSeparators(text, input);
+
+  if (!separators) {
+    throw new Error(
+      `Unsupported locale "${locale}": expected ${Object.keys(LOCALE_SEPARATORS).join(" or ")}`
+    );
+  }
+
+  const parts = text.split(separators.decimal);
+  const [integerText, fraction = ""] = parts;
+  const groupPattern = separators.group === "." ? "\\." : ",";
+  const integerPattern = new RegExp(
+    `^(\\d+|\\d{1,3}(${groupPattern}\\d{3})+)$`
+  );
+
+  if (
+    parts.length > 2 ||
+    !integerPattern.test(integerText) ||
+    (parts.length === 2 && !/^\d+$/.test(fraction))
+  ) {
+    throw new Error(
+      `Invalid amount "${input}": expected a number such as 1234.56 or 1.234,56`
+    );
+  }
+
+  if (fraction.length > 2) {
+    throw new Error(
+      `Invalid amount "${input}": at most 2 decimal places are allowed`
+    );
+  }
+
+  const reais = integerText.split(separators.group).join("").replace(/^0+/, "");
+
+  // Checked before converting to a number so that no precision is lost
+  if (reais.length > MAX_FIELD_LENGTH - 3) {
+    return Infinity;
+  }
+
+  return Number(reais || "0") * 100 + Number(fraction.padEnd(2, "0"));
+}
+
+/**
+ * Converts a numeric amount into centavos
+ * @param {number} value - Amount in reais
+ * @returns {number} - Amount in centavos
+ */
+function parseNumber(value) {
+  if (!Number.isFinite(value)) {
+    throw new Error(`Invalid amount "${value}": expected a finite number`);
+  }
+
+  if (value < 0) {
+    throw new Error(`Invalid amount "${value}": cannot be negative`);
+  }
+
+  const centavos = Math.round(value * 100);
+
+  // Tolerates binary representation errors such as 0.1 + 0.2
+  if (Math.abs(value * 100 - centavos) > 1e-6) {
+    throw new Error(
+      `Invalid amount "${value}": at most 2 decimal places are allowed`
+    );
+  }
+
+  return centavos;
+}
+
+export class PixAmount {
+  /**
+   * Parses an amount into centavos
+   *
+   * Strings may use the Brazilian ("1.234,56") or the US ("1,234.56") format,
+   * with or without thousands separators and the "R$" symbol.
+   * @param {string|number} value - Amount in reais
+   * @param {Object} [options] - Parsing options
+   * @param {string} [options.locale] - "pt-BR" or "en-US" (detected when omitted)
+   * @returns {number} - Amount in centavos (an integer)
+   */
+  static parse(value, { locale } = {}) {
+    let centavos;
+
+    if (typeof value === "number") {
+      centavos = parseNumber(value);
+    } else if (typeof value === "string") {
+      centavos = parseText(value, locale);
+    } else {
+      throw new Error(
+        `Invalid amount "${value}": expected a string or a number`
+      );
+    }
+
+    if (centavos === 0) {
+      throw new Error(`Invalid amount "${value}": must be greater than zero`);
+    }
+
+    if (
+      !Number.isSafeInteger(centavos) ||
+      toFieldText(centavos).length > MAX_FIELD_LENGTH
+    ) {
+      throw new Error(
+        `Invalid amount "${value}": exceeds the ${MAX_FIELD_LENGTH} characters of field 54 (at most 9999999999.99)`
+      );
+    }
+
+    return centavos;
+  }
+
+  /**
+   * Formats centavos as the value of field 54
+   * @param {number} centavos - Amount in centavos
+   * @returns {string} - Amount with "." and 2 decimals (e.g. "1234.56")
+   */
+  static toField(centavos) {
+    if (!Number.isSafeInteger(centavos) || centavos < 0) {
+      throw new Error(
+        `Invalid centavos "${centavos}": expected a non-negative integer`
+      );
+    }
+
+    return toFieldText(centavos);
+  }
+
+  /**
+   * Parses an amount and returns it as the value of field 54
+   * @param {string|number} value - Amount in reais
+   * @param {Object} [options] - Parsing options (see PixAmount.parse)
+   * @returns {string} - Amount with "." and 2 decimals (e.g. "1234.56")
+   */
+  static normalize(value, options) {
+    return toFieldText(PixAmount.parse(value, options));
+  }
+
+  /**
+   * Formats an amount in Brazilian reais for display
+   * @param {string|number} value - Amount in reais
+   * @param {Object} [options] - Parsing options (see PixAmount.parse)
+   * @returns {string} - Formatted amount (e.g. "R$ 1.234,56")
+   */
+  static format(value, options) {
+    return BRL_FORMAT.format(PixAmount.parse(value, options) / 100);
+  }
+}
+
+export default PixAmount;
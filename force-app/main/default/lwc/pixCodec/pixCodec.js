@@ -0,0 +1,2020 @@
+/**
+ * PIX Payment Code Library
+ *
+ * A JavaScript library for encoding and decoding PIX payment codes
+ * according to the Brazilian Central Bank (BCB) specification.
+ *
+ * Published as the c/pixCodec service component so that any component or
+ * Flow action can import it; Node.js loads it through node/index.mjs.
+ *
+ * @author Generated for SimPQ
+ * @version 1.0.0
+ */
+
+import { PixAmount } from "./pixAmount";
+import { PixMerchant } from "./pixMerchant";
+import { PixDataError, PixDataSchema } from "./pixDataSchema";
+
+// Amount, merchant and schema helpers are part of the service component too
+export { PixAmount, PixMerchant, PixDataError, PixDataSchema };
+
+// Field lengths are written with 2 digits, so no value may exceed 99 bytes
+const MAX_FIELD_LENGTH = 99;
+
+// Room left for 26/02 by the GUI (0014BR.GOV.BCB.PIX) and its own ID and length
+const MAX_DESCRIPTION_LENGTH = 72;
+
+/**
+ * Encodes a string as UTF-8 bytes
+ *
+ * BR Code lengths and the CRC are computed over the UTF-8 representation of
+ * the payload, so characters outside ASCII (e.g. "É") count as more than one.
+ * @param {string} value - The string to encode
+ * @returns {Array<number>} - UTF-8 bytes
+ */
+function toUTF8Bytes(value) {
+  const bytes = [];
+
+  for (const char of value) {
+    const codePoint = char.codePointAt(0);
+
+    if (codePoint < 0x80) {
+      bytes.push(codePoint);
+    } else if (codePoint < 0x800) {
+      bytes.push(0xc0 | (codePoint >> 6), 0x80 | (codePoint & 0x3f));
+    } else if (codePoint < 0x10000) {
+      bytes.push(
+        0xe0 | (codePoint >> 12),
+        0x80 | ((codePoint >> 6) & 0x3f),
+        0x80 | (codePoint & 0x3f)
+      );
+    } else {
+      bytes.push(
+        0xf0 | (codePoint >> 18),
+        0x80 | ((codePoint >> 12) & 0x3f),
+        0x80 | ((codePoint >> 6) & 0x3f),
+        0x80 | (codePoint & 0x3f)
+      );
+    }
+  }
+
+  return bytes;
+}
+
+/**
+ * Returns the length of a string in UTF-8 bytes
+ * @param {string} value - The string to measure
+ * @returns {number} - Length in bytes
+ */
+function byteLength(value) {
+  return toUTF8Bytes(value).length;
+}
+
+/**
+ * Extracts a substring spanning a given number of UTF-8 bytes
+ * @param {string} data - The string to slice
+ * @param {number} start - Start position (in characters)
+ * @param {number} length - Number of bytes to take
+ * @returns {string} - The substring covering at most `length` bytes
+ */
+function sliceBytes(data, start, length) {
+  let end = start;
+  let bytes = 0;
+
+  while (end < data.length && bytes < length) {
+    const char = String.fromCodePoint(data.codePointAt(end));
+    bytes += byteLength(char);
+    end += char.length;
+  }
+
+  return data.slice(start, end);
+}
+
+/**
+ * CRC16-CCITT implementation for PIX validation
+ * @param {string} data - The data to calculate CRC for (hashed as UTF-8)
+ * @returns {string} - 4-character hex CRC
+ */
+export function calculateCRC16(data) {
+  const polynomial = 0x1021;
+  let crc = 0xffff;
+
+  for (const byte of toUTF8Bytes(data)) {
+    crc ^= byte << 8;
+
+    for (let j = 0; j < 8; j++) {
+      if (crc & 0x8000) {
+        crc = (crc << 1) ^ polynomial;
+      } else {
+        crc = crc << 1;
+      }
+      crc &= 0xffff;
+    }
+  }
+
+  return crc.toString(16).toUpperCase().padStart(4, "0");
+}
+
+/**
+ * Formats a number to ensure it has the correct length
+ * @param {string|number} value - The value to format
+ * @param {number} length - Target length
+ * @returns {string} - Formatted string
+ */
+function formatLength(value, length) {
+  return value.toString().padStart(length, "0");
+}
+
+/**
+ * Tells whether a field is encoded: it needs an ID and a value, and the CRC
+ * (63) of the top level is always recalculated
+ * @param {Object} field - Field of a PIX data structure
+ * @param {boolean} isTopLevel - Whether the field is outside any template
+ * @returns {boolean} - True if the field is encoded
+ */
+function isEncodedField(field, isTopLevel) {
+  return (
+    Boolean(field.id) &&
+    field.value !== undefined &&
+    !(isTopLevel && field.id === "63")
+  );
+}
+
+/**
+ * Compares field IDs in canonical BR Code order
+ *
+ * IDs ascend (00, 01, 26-51, 52, 53, 54, 58-62, 64, 80-99), except that the
+ * CRC (63) comes last at the top level.
+ * @param {string} a - Field ID
+ * @param {string} b - Field ID
+ * @param {boolean} isTopLevel - Whether the fields are outside any template
+ * @returns {number} - Negative, zero or positive, as for Array.sort
+ */
+function compareFieldIds(a, b, isTopLevel) {
+  const rank = (id) => (isTopLevel && id === "63" ? 100 : parseInt(id, 10));
+  return rank(a) - rank(b) || a.localeCompare(b);
+}
+
+/**
+ * Lists the fields repeating an ID already encoded at the same level
+ * @param {Array} fields - Fields of one level
+ * @param {string} path - JSON Pointer of the fields (e.g. "/value")
+ * @param {boolean} isTopLevel - Whether the fields are outside any template
+ * @returns {Array} - { path, message } errors
+ */
+function findDuplicateFields(fields, path, isTopLevel) {
+  const firstIndexes = {};
+  const errors = [];
+
+  fields.forEach((field, index) => {
+    if (!isEncodedField(field, isTopLevel)) {
+      return;
+    }
+
+    if (field.id in firstIndexes) {
+      errors.push({
+        path: `${path}/${index}`,
+        message: `duplicate field ${field.id}, already at ${path}/${firstIndexes[field.id]}`
+      });
+    } else {
+      firstIndexes[field.id] = index;
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Describes a value too long for the 2-digit length of its field
+ * @param {string} id - Field ID
+ * @param {number} length - Byte length of the encoded value
+ * @param {string} path - JSON Pointer of the value
+ * @returns {Object} - { path, message } error
+ */
+function tooLongError(id, length, path) {
+  return {
+    path,
+    message: `field ${id} is ${length} bytes long, at most ${MAX_FIELD_LENGTH} fit in a field`
+  };
+}
+
+/**
+ * Encodes fields in canonical order, templates included
+ *
+ * Fields without an ID or a value are skipped; repeated IDs and values
+ * longer than 99 bytes throw a PixDataError.
+ * @param {Array} fields - Fields to encode
+ * @param {string} [path] - JSON Pointer of the fields, for error messages
+ * @param {boolean} [isTopLevel] - Whether the fields are outside any template
+ * @returns {string} - Encoded fields
+ */
+function encodeFields(fields, path = "/value", isTopLevel = false) {
+  const [duplicate] = findDuplicateFields(fields, path, isTopLevel);
+
+  if (duplicate) {
+    throw new PixDataError([duplicate]);
+  }
+
+  return fields
+    .map((field, index) => ({ field, index }))
+    .filter(({ field }) => isEncodedField(field, isTopLevel))
+    .sort((a, b) => compareFieldIds(a.field.id, b.field.id, isTopLevel))
+    .map(({ field, index }) => {
+      const valuePath = `${path}/${index}/value`;
+      const value = Array.isArray(field.value)
+        ? encodeFields(field.value, valuePath)
+        : field.value;
+      const length = byteLength(value);
+
+      if (length > MAX_FIELD_LENGTH) {
+        throw new PixDataError([tooLongError(field.id, length, valuePath)]);
+      }
+
+      return field.id + formatLength(length, 2) + value;
+    })
+    .join("");
+}
+
+/**
+ * Checks a field tree for IDs repeated within the same level
+ * @param {Array} fields - Fields that follow the PIX data schema
+ * @param {string} path - JSON Pointer of the fields (e.g. "/value")
+ * @param {boolean} isTopLevel - Whether the fields are outside any template
+ * @param {Array} errors - Collects { path, message } errors
+ */
+function checkDuplicateFields(fields, path, isTopLevel, errors) {
+  errors.push(...findDuplicateFields(fields, path, isTopLevel));
+
+  fields.forEach((field, index) => {
+    if (Array.isArray(field.value)) {
+      checkDuplicateFields(
+        field.value,
+        `${path}/${index}/value`,
+        false,
+        errors
+      );
+    }
+  });
+}
+
+/**
+ * Checks that every value of a field tree fits in 99 bytes and that the
+ * fixed lengths declared match the values
+ * @param {Array} fields - Fields that follow the PIX data schema
+ * @param {string} path - JSON Pointer of the fields (e.g. "/value")
+ * @param {Array} errors - Collects { path, message } errors
+ * @returns {number} - Byte length of the encoded fields
+ */
+function checkFieldLengths(fields, path, errors) {
+  return fields.reduce((total, field, index) => {
+    const fieldPath = `${path}/${index}`;
+    const actual = Array.isArray(field.value)
+      ? checkFieldLengths(field.value, `${fieldPath}/value`, errors)
+      : byteLength(field.value);
+
+    if (actual > MAX_FIELD_LENGTH) {
+      errors.push(tooLongError(field.id, actual, `${fieldPath}/value`));
+    } else if (field.length !== undefined && field.length !== "variable") {
+      const declared = parseInt(field.length, 10);
+
+      if (declared !== actual) {
+        errors.push({
+          path: `${fieldPath}/length`,
+          message: `field ${field.id} declares ${declared} characters but its value has ${actual}`
+        });
+      }
+    }
+
+    // ID and 2-digit length, then the value
+    return total + 4 + actual;
+  }, 0);
+}
+
+// Subfields of templates whose content is defined by their GUI
+const GENERIC_TEMPLATE_TAGS = [
+  {
+    id: "00",
+    description: "GUI",
+    format: "ANS",
+    maxLength: 32
+  },
+  {
+    range: ["01", "99"],
+    description: "Template specific data",
+    format: "ANS",
+    maxLength: 99
+  }
+];
+
+// Subfields of the PIX merchant account template (26)
+const PIX_MERCHANT_ACCOUNT_TAGS = [
+  {
+    id: "00",
+    description: "GUI",
+    format: "ANS",
+    maxLength: 32
+  },
+  {
+    id: "01",
+    description: "Key",
+    format: "ANS",
+    maxLength: 77
+  },
+  {
+    id: "02",
+    description: "Additional Information",
+    format: "ANS",
+    maxLength: 72
+  },
+  {
+    id: "25",
+    description: "URL",
+    format: "ANS",
+    maxLength: 77
+  }
+];
+
+// Subfields of the additional data field template (62)
+const ADDITIONAL_DATA_TAGS = [
+  {
+    id: "01",
+    description: "Bill Number",
+    format: "ANS",
+    maxLength: 25
+  },
+  {
+    id: "02",
+    description: "Mobile Number",
+    format: "ANS",
+    maxLength: 25
+  },
+  {
+    id: "03",
+    description: "Store Label",
+    format: "ANS",
+    maxLength: 25
+  },
+  {
+    id: "04",
+    description: "Loyalty Number",
+    format: "ANS",
+    maxLength: 25
+  },
+  {
+    id: "05",
+    description: "Transaction ID",
+    format: "ANS",
+    maxLength: 25
+  },
+  {
+    id: "06",
+    description: "Customer Label",
+    format: "ANS",
+    maxLength: 25
+  },
+  {
+    id: "07",
+    description: "Terminal Label",
+    format: "ANS",
+    maxLength: 25
+  },
+  {
+    id: "08",
+    description: "Purpose of Transaction",
+    format: "ANS",
+    maxLength: 25
+  },
+  {
+    id: "09",
+    description: "Additional Consumer Data Request",
+    format: "ANS",
+    maxLength: 3
+  },
+  {
+    id: "50",
+    template: true,
+    description: "Payment system specific template",
+    maxLength: 99,
+    children: [
+      {
+        id: "00",
+        description: "GUI",
+        format: "ANS",
+        maxLength: 32
+      },
+      {
+        id: "01",
+        description: "version",
+        format: "ANS",
+        maxLength: 99
+      }
+    ]
+  },
+  {
+    range: ["51", "99"],
+    template: true,
+    description: "Payment system specific template",
+    maxLength: 99,
+    children: GENERIC_TEMPLATE_TAGS
+  }
+];
+
+// Subfields of the merchant information language template (64)
+const LANGUAGE_TEMPLATE_TAGS = [
+  {
+    id: "00",
+    description: "Language Preference",
+    format: "ANS",
+    maxLength: 2
+  },
+  {
+    id: "01",
+    description: "Merchant Name - Alternate Language",
+    format: "ANS",
+    maxLength: 25
+  },
+  {
+    id: "02",
+    description: "Merchant City - Alternate Language",
+    format: "ANS",
+    maxLength: 15
+  }
+];
+
+/**
+ * EMV tag dictionary
+ *
+ * Each entry describes either a single ID (`id`) or an inclusive ID range
+ * (`range`). Templates (`template: true`) hold nested fields described by
+ * `children`. Formats follow the EMV QRCPS notation: "N" for numeric and
+ * "ANS" for alphanumeric special characters.
+ */
+const EMV_TAGS = [
+  {
+    id: "00",
+    description: "Payload Format Indicator",
+    format: "N",
+    maxLength: 2
+  },
+  {
+    id: "01",
+    description: "Point of Initiation Method",
+    format: "N",
+    maxLength: 2
+  },
+  {
+    range: ["02", "25"],
+    description: "Merchant Account Information (reserved)",
+    format: "ANS",
+    maxLength: 99
+  },
+  {
+    id: "26",
+    template: true,
+    description: "Merchant Account Information",
+    maxLength: 99,
+    children: PIX_MERCHANT_ACCOUNT_TAGS
+  },
+  {
+    range: ["27", "51"],
+    template: true,
+    description: "Merchant Account Information",
+    maxLength: 99,
+    children: GENERIC_TEMPLATE_TAGS
+  },
+  {
+    id: "52",
+    description: "Merchant Category Code (MCC)",
+    format: "N",
+    maxLength: 4
+  },
+  {
+    id: "53",
+    description: "Transaction Currency",
+    format: "N",
+    maxLength: 3
+  },
+  {
+    id: "54",
+    description: "Transaction Amount",
+    format: "ANS",
+    maxLength: 13
+  },
+  {
+    id: "55",
+    description: "Tip or Convenience Indicator",
+    format: "N",
+    maxLength: 2
+  },
+  {
+    id: "56",
+    description: "Value of Convenience Fee Fixed",
+    format: "ANS",
+    maxLength: 13
+  },
+  {
+    id: "57",
+    description: "Value of Convenience Fee Percentage",
+    format: "ANS",
+    maxLength: 5
+  },
+  {
+    id: "58",
+    description: "Country Code",
+    format: "ANS",
+    maxLength: 2
+  },
+  {
+    id: "59",
+    description: "Merchant Name",
+    format: "ANS",
+    maxLength: 25
+  },
+  {
+    id: "60",
+    description: "Merchant City",
+    format: "ANS",
+    maxLength: 15
+  },
+  {
+    id: "61",
+    description: "Postal Code",
+    format: "ANS",
+    maxLength: 10
+  },
+  {
+    id: "62",
+    template: true,
+    description: "Additional Data Field Template",
+    maxLength: 99,
+    children: ADDITIONAL_DATA_TAGS
+  },
+  {
+    id: "63",
+    description: "CRC16 - result's 4 nibbles",
+    format: "ANS",
+    maxLength: 4
+  },
+  {
+    id: "64",
+    template: true,
+    description: "Merchant Information - Language Template",
+    maxLength: 99,
+    children: LANGUAGE_TEMPLATE_TAGS
+  },
+  {
+    range: ["65", "79"],
+    description: "RFU for EMVCo",
+    format: "ANS",
+    maxLength: 99
+  },
+  {
+    range: ["80", "99"],
+    template: true,
+    description: "Unreserved Template",
+    maxLength: 99,
+    children: GENERIC_TEMPLATE_TAGS
+  }
+];
+
+/**
+ * Finds the dictionary entry for a field ID
+ * @param {Array} tags - Tag dictionary to search
+ * @param {string} id - Field ID
+ * @returns {Object|undefined} - The matching entry, if any
+ */
+function findTag(tags, id) {
+  return tags.find((tag) => {
+    if (tag.range) {
+      return id >= tag.range[0] && id <= tag.range[1];
+    }
+    return tag.id === id;
+  });
+}
+
+/**
+ * Error raised when a PIX string cannot be decoded
+ *
+ * `reason` is one of INVALID_TAG, INVALID_LENGTH, TRUNCATED_VALUE,
+ * DUPLICATE_TAG, TRAILING_DATA or INVALID_CRC.
+ */
+export class PixDecodeError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details
+   * @param {number} details.offset - Position of the offending field in the PIX string
+   * @param {string} details.tagId - ID of the offending field
+   * @param {string} details.path - Path of the offending field (e.g. "62/05")
+   * @param {string} details.reason - Machine-readable reason
+   */
+  constructor(message, { offset, tagId, path, reason }) {
+    super(message);
+    this.name = "PixDecodeError";
+    this.offset = offset;
+    this.tagId = tagId;
+    this.path = path;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Decodes a PIX string into individual fields
+ *
+ * Templates listed in the tag dictionary are decoded recursively and every
+ * field known to the dictionary is labeled with its description.
+ *
+ * By default the first problem found throws a PixDecodeError. When an
+ * `errors` array is given, problems are collected there instead and the
+ * fields decoded so far are returned.
+ * @param {string} pixString - The PIX string to decode
+ * @param {Array} [tags] - Tag dictionary for this level (defaults to the top level)
+ * @param {Object} [context] - Decoding context
+ * @param {number} [context.offset] - Offset of `pixString` within the full PIX string
+ * @param {string} [context.path] - Path of the enclosing template ("" at the top level)
+ * @param {Array} [context.errors] - Collects errors instead of throwing (lenient mode)
+ * @returns {Array} - Array of decoded fields
+ */
+function decodeFields(pixString, tags = EMV_TAGS, context = {}) {
+  const { offset = 0, path = "", errors = null } = context;
+  const fields = [];
+  let position = 0;
+
+  const fail = (message, id, reason) => {
+    const error = new PixDecodeError(message, {
+      offset: offset + position,
+      tagId: id,
+      path: path ? `${path}/${id}` : id,
+      reason
+    });
+
+    if (!errors) {
+      throw error;
+    }
+    errors.push(error);
+  };
+
+  while (position < pixString.length) {
+    const id = pixString.substr(position, 2);
+    const lengthText = pixString.substr(position + 2, 2);
+
+    if (!/^\d{2}$/.test(id)) {
+      fail(
+        `Invalid field ID "${id}" at offset ${offset + position}`,
+        id,
+        "INVALID_TAG"
+      );
+      break;
+    }
+
+    if (!/^\d{2}$/.test(lengthText)) {
+      fail(
+        `Invalid length "${lengthText}" for field ${id} at offset ${offset + position}`,
+        id,
+        "INVALID_LENGTH"
+      );
+      break;
+    }
+
+    const length = parseInt(lengthText, 10);
+    const value = sliceBytes(pixString, position + 4, length);
+
+    if (byteLength(value) < length) {
+      fail(
+        `Field ${id} is truncated: declares ${length} characters but only ${byteLength(value)} are available`,
+        id,
+        "TRUNCATED_VALUE"
+      );
+      break;
+    }
+
+    // A multi-byte character crossing the end, e.g. a length counted in
+    // characters instead of UTF-8 bytes
+    if (byteLength(value) > length) {
+      fail(
+        `Invalid length for field ${id} at offset ${offset + position}: declares ${length} bytes but a multi-byte character ends at byte ${byteLength(value)}`,
+        id,
+        "INVALID_LENGTH"
+      );
+      break;
+    }
+
+    if (findField(fields, id)) {
+      fail(
+        `Duplicate field ${id} at offset ${offset + position}`,
+        id,
+        "DUPLICATE_TAG"
+      );
+    }
+
+    const tag = findTag(tags, id);
+
+    const field = {
+      id,
+      length: lengthText,
+      value:
+        tag && tag.template
+          ? decodeFields(value, tag.children, {
+              offset: offset + position + 4,
+              path: path ? `${path}/${id}` : id,
+              errors
+            })
+          : value
+    };
+
+    if (tag) {
+      field.description = tag.description;
+    }
+
+    fields.push(field);
+    position += 4 + value.length;
+
+    // Nothing may follow the CRC
+    if (!path && id === "63" && position < pixString.length) {
+      fail(
+        `Unexpected data after the CRC at offset ${offset + position}`,
+        pixString.substr(position, 2),
+        "TRAILING_DATA"
+      );
+      break;
+    }
+  }
+
+  return fields;
+}
+
+// Brazilian area codes (DDD) in use
+const VALID_DDDS = (
+  "11 12 13 14 15 16 17 18 19 21 22 24 27 28 31 32 33 34 35 37 38 41 " +
+  "42 43 44 45 46 47 48 49 51 53 54 55 61 62 63 64 65 66 67 68 69 71 " +
+  "73 74 75 77 79 81 82 83 84 85 86 87 88 89 91 92 93 94 95 96 97 98 99"
+).split(" ");
+
+/**
+ * Computes a modulo 11 check digit as used by CPF and CNPJ
+ *
+ * Characters are valued by their char code minus 48, so digits keep their
+ * value and letters of the alphanumeric CNPJ map to 17 ("A") onwards.
+ * @param {string} base - Characters covered by the check digit
+ * @param {Array<number>} weights - Weight of each character
+ * @returns {number} - The check digit
+ */
+function calculateCheckDigit(base, weights) {
+  let sum = 0;
+
+  for (let i = 0; i < base.length; i++) {
+    sum += (base.charCodeAt(i) - 48) * weights[i];
+  }
+
+  const remainder = sum % 11;
+  return remainder < 2 ? 0 : 11 - remainder;
+}
+
+/**
+ * Checks the check digits of a CPF
+ * @param {string} cpf - 11 digits
+ * @returns {boolean} - Whether the CPF is valid
+ */
+function isValidCPF(cpf) {
+  // Repeated digits pass the check digit test but are not valid
+  if (/^(\d)\1{10}$/.test(cpf)) {
+    return false;
+  }
+
+  const first = calculateCheckDigit(
+    cpf.slice(0, 9),
+    [10, 9, 8, 7, 6, 5, 4, 3, 2]
+  );
+  const second = calculateCheckDigit(
+    cpf.slice(0, 9) + first,
+    [11, 10, 9, 8, 7, 6, 5, 4, 3, 2]
+  );
+
+  return cpf.slice(9) === `${first}${second}`;
+}
+
+/**
+ * Checks the check digits of a CNPJ, numeric or alphanumeric
+ * @param {string} cnpj - 12 uppercase alphanumeric characters and 2 digits
+ * @returns {boolean} - Whether the CNPJ is valid
+ */
+function isValidCNPJ(cnpj) {
+  if (/^(\d)\1{13}$/.test(cnpj)) {
+    return false;
+  }
+
+  const weights = [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2];
+  const first = calculateCheckDigit(cnpj.slice(0, 12), weights);
+  const second = calculateCheckDigit(cnpj.slice(0, 12) + first, [
+    6,
+    ...weights
+  ]);
+
+  return cnpj.slice(12) === `${first}${second}`;
+}
+
+/**
+ * Checks a Brazilian phone number without the country code
+ * @param {string} number - DDD followed by 8 (landline) or 9 (mobile) digits
+ * @returns {boolean} - Whether the number is valid
+ */
+function isValidPhoneNumber(number) {
+  if (!VALID_DDDS.includes(number.slice(0, 2))) {
+    return false;
+  }
+
+  // Mobile numbers start with 9, landlines with 2 to 5
+  return number.length === 11 ? number[2] === "9" : /^[2-5]$/.test(number[2]);
+}
+
+// Transaction ID (62/05) lengths: static codes carry up to 25 characters and
+// dynamic charges (COB/COBV) 26 to 35
+const TXID_LENGTHS = {
+  static: { min: 1, max: 25 },
+  dynamic: { min: 26, max: 35 }
+};
+
+const TXID_ALPHABET =
+  "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+
+// Random characters kept in generated IDs; a Salesforce record ID (18
+// characters) still fits in a static txid as a prefix
+const MIN_TXID_RANDOM_LENGTH = 7;
+
+/**
+ * Generates random alphanumeric characters
+ *
+ * Uses the Web Crypto API when available. Bytes that would make some
+ * characters more likely than others are discarded.
+ * @param {number} length - Number of characters
+ * @returns {string} - Random characters
+ */
+function randomCharacters(length) {
+  const limit = 256 - (256 % TXID_ALPHABET.length);
+  let result = "";
+
+  while (result.length < length) {
+    const bytes = new Uint8Array(length);
+
+    if (typeof crypto !== "undefined" && crypto.getRandomValues) {
+      crypto.getRandomValues(bytes);
+    } else {
+      bytes.forEach((byte, index) => {
+        bytes[index] = Math.floor(Math.random() * 256);
+      });
+    }
+
+    for (const byte of bytes) {
+      if (byte < limit && result.length < length) {
+        result += TXID_ALPHABET[byte % TXID_ALPHABET.length];
+      }
+    }
+  }
+
+  return result;
+}
+
+// Fields every BR Code must carry
+const MANDATORY_FIELDS = ["00", "26", "52", "53", "58", "59", "60", "63"];
+
+/**
+ * Checks decoded fields against the tag dictionary, recording every problem found
+ * @param {Array} fields - Decoded fields
+ * @param {Array} tags - Tag dictionary for this level
+ * @param {string} parentPath - Path of the enclosing template ("" at the top level)
+ * @param {Array} issues - Collected issues, appended to in place
+ */
+function inspectFields(fields, tags, parentPath, issues) {
+  fields.forEach((field) => {
+    const path = parentPath ? `${parentPath}/${field.id}` : field.id;
+    const tag = findTag(tags, field.id);
+
+    if (!tag) {
+      issues.push({
+        severity: "warning",
+        path,
+        message: "Unknown field"
+      });
+      return;
+    }
+
+    if (parseInt(field.length, 10) > tag.maxLength) {
+      issues.push({
+        severity: "error",
+        path,
+        message: `${tag.description} exceeds the maximum length of ${tag.maxLength} characters`
+      });
+    }
+
+    if (tag.format === "N" && !/^\d*$/.test(field.value)) {
+      issues.push({
+        severity: "error",
+        path,
+        message: `${tag.description} must be numeric`
+      });
+    }
+
+    if (tag.template) {
+      inspectFields(field.value, tag.children, path, issues);
+    }
+  });
+}
+
+/**
+ * Builds the fields shared by static and dynamic payments, in BR Code order
+ *
+ * The merchant name and city are sanitized (see PixMerchant) to fit the BR
+ * Code charset and length limits.
+ * @param {Array} merchantAccountInformation - Subfields of the field 26 template
+ * @param {string} merchantName - Merchant name
+ * @param {string} merchantCity - Merchant city
+ * @param {string} [mcc] - Merchant Category Code (defaults to "0000")
+ * @returns {Array} - Array of fields ready for encoding
+ */
+function createBaseFields(
+  merchantAccountInformation,
+  merchantName,
+  merchantCity,
+  mcc = "0000"
+) {
+  return [
+    {
+      id: "00",
+      description: "Payload Format Indicator",
+      length: "02",
+      value: "01"
+    },
+    {
+      id: "26",
+      description: "Merchant Account Information",
+      length: "variable",
+      value: [
+        {
+          id: "00",
+          description: "GUI",
+          length: "14",
+          value: "BR.GOV.BCB.PIX"
+        },
+        ...merchantAccountInformation
+      ]
+    },
+    {
+      id: "52",
+      description: "Merchant Category Code (MCC)",
+      length: "04",
+      value: mcc
+    },
+    {
+      id: "53",
+      description: "Transaction Currency",
+      length: "03",
+      value: "986" // BRL
+    },
+    {
+      id: "58",
+      description: "Country Code",
+      length: "02",
+      value: "BR"
+    },
+    {
+      id: "59",
+      description: "Merchant Name",
+      length: "variable",
+      value: PixMerchant.sanitizeName(merchantName).value
+    },
+    {
+      id: "60",
+      description: "Merchant City",
+      length: "variable",
+      value: PixMerchant.sanitizeCity(merchantCity).value
+    }
+  ];
+}
+
+/**
+ * Builds the BR Code specific template (62/50)
+ * @returns {Object} - Field 50 ready to be nested in field 62
+ */
+function createBRCodeTemplate() {
+  return {
+    id: "50",
+    description: "Payment system specific template",
+    length: "variable",
+    value: [
+      {
+        id: "00",
+        description: "GUI",
+        length: "17",
+        value: "BR.GOV.BCB.BRCODE"
+      },
+      {
+        id: "01",
+        description: "version",
+        length: "05",
+        value: "1.0.0"
+      }
+    ]
+  };
+}
+
+/**
+ * Finds a field by ID in an array of decoded fields
+ * @param {Array} fields - Array of decoded fields
+ * @param {string} id - Field ID to look for
+ * @returns {Object|undefined} - The field, if present
+ */
+function findField(fields, id) {
+  return Array.isArray(fields)
+    ? fields.find((field) => field.id === id)
+    : undefined;
+}
+
+// Properties of the object returned by PixCodec.parse and the fields they map to
+const PAYMENT_FIELDS = [
+  { property: "key", path: "26/01" },
+  { property: "description", path: "26/02" },
+  { property: "locationUrl", path: "26/25" },
+  { property: "mcc", path: "52" },
+  { property: "currency", path: "53" },
+  { property: "amount", path: "54" },
+  { property: "country", path: "58" },
+  { property: "merchantName", path: "59" },
+  { property: "merchantCity", path: "60" },
+  { property: "postalCode", path: "61" },
+  { property: "txid", path: "62/05" }
+];
+
+// Fields with a fixed value, only reported as unknown when they differ
+const DEFAULT_FIELD_VALUES = { "00": "01", "26/00": "BR.GOV.BCB.PIX" };
+
+/**
+ * Sets the value of a field, creating the enclosing templates as needed
+ * @param {Array} fields - Fields to update in place
+ * @param {string} path - Field path (e.g. "62/05")
+ * @param {string} value - Field value
+ */
+function setFieldValue(fields, path, value) {
+  const [id, ...rest] = path.split("/");
+  let field = findField(fields, id);
+
+  if (!field) {
+    field = { id, value: rest.length ? [] : value };
+    fields.push(field);
+  }
+
+  if (rest.length) {
+    setFieldValue(field.value, rest.join("/"), value);
+  } else {
+    field.value = value;
+  }
+}
+
+/**
+ * PIX Code Generator and Parser
+ */
+export class PixCodec {
+  /**
+   * Generates a PIX payment string from JSON data
+   *
+   * Fields are emitted in canonical BR Code order whatever their order in
+   * the input: ascending IDs at every level, the CRC (63) last. An ID
+   * repeated within a level throws a PixDataError. Fields without an ID or a
+   * value are skipped unless `validate` is set, in which case any departure
+   * from the PIX data schema, or a declared length that does not match its
+   * value, throws a PixDataError too.
+   * @param {Object} pixData - PIX data object with value array
+   * @param {Object} [options] - Encoding options
+   * @param {boolean} [options.validate] - Validate the input first (see validateData)
+   * @returns {string} - PIX payment string ready for QR code
+   */
+  static encode(pixData, { validate = false } = {}) {
+    if (validate) {
+      const { errors } = PixCodec.validateData(pixData);
+
+      if (errors.length) {
+        throw new PixDataError(errors);
+      }
+    }
+
+    if (!pixData || !pixData.value || !Array.isArray(pixData.value)) {
+      throw new Error(
+        "Invalid PIX data format. Expected object with value array."
+      );
+    }
+
+    // All fields but the CRC (63), which is recalculated
+    let pixString = encodeFields(pixData.value, "/value", true);
+
+    // Add CRC field ID and length
+    pixString += "6304";
+
+    // Calculate and append CRC
+    const crc = calculateCRC16(pixString);
+    pixString += crc;
+
+    return pixString;
+  }
+
+  /**
+   * Validates a PIX data structure before encoding
+   *
+   * The structure is checked against the PIX data schema (PixDataSchema)
+   * and, when that passes, for IDs repeated within a level; then values
+   * are checked to fit in 99 bytes and fixed lengths declared in `length`
+   * (e.g. "14") are compared with the encoded length of their values.
+   * @param {*} pixData - PIX data structure
+   * @returns {Object} - Result with isValid boolean and errors, a list of
+   * { path, message } where path is a JSON Pointer (e.g. "/value/1/length")
+   */
+  static validateData(pixData) {
+    const { errors } = PixDataSchema.validate(pixData);
+
+    if (!errors.length) {
+      checkDuplicateFields(pixData.value, "/value", true, errors);
+    }
+
+    if (!errors.length) {
+      checkFieldLengths(pixData.value, "/value", errors);
+    }
+
+    return { isValid: errors.length === 0, errors };
+  }
+
+  /**
+   * Parses a PIX payment string into JSON format
+   *
+   * Malformed input throws a PixDecodeError. In lenient mode nothing is
+   * thrown for malformed content: the fields decoded up to the first
+   * unrecoverable problem are returned along with an `errors` array.
+   * @param {string} pixString - PIX payment string
+   * @param {Object} [options] - Decoding options
+   * @param {boolean} [options.lenient] - Return partial results instead of throwing
+   * @returns {Object} - PIX data object with value array
+   */
+  static decode(pixString, { lenient = false } = {}) {
+    if (!pixString || typeof pixString !== "string") {
+      throw new Error("Invalid PIX string. Expected non-empty string.");
+    }
+
+    const errors = lenient ? [] : null;
+
+    // Validate CRC
+    const dataWithoutCRC = pixString.slice(0, -4);
+    const providedCRC = pixString.slice(-4);
+    const calculatedCRC = calculateCRC16(dataWithoutCRC);
+
+    if (providedCRC !== calculatedCRC) {
+      const error = new PixDecodeError(
+        `Invalid CRC. Expected: ${calculatedCRC}, Got: ${providedCRC}`,
+        {
+          offset: Math.max(pixString.length - 4, 0),
+          tagId: "63",
+          path: "63",
+          reason: "INVALID_CRC"
+        }
+      );
+
+      if (!lenient) {
+        throw error;
+      }
+      errors.push(error);
+    }
+
+    const fields = decodeFields(pixString, EMV_TAGS, { errors });
+
+    // Dynamic codes carry the PSP location URL (26/25) instead of a key
+    const locationField = findField(findField(fields, "26")?.value, "25");
+
+    const result = {
+      value: fields,
+      isDynamic: Boolean(locationField),
+      locationUrl: locationField ? locationField.value : null
+    };
+
+    if (lenient) {
+      result.errors = errors;
+    }
+
+    return result;
+  }
+
+  /**
+   * Re-encodes a PIX string in canonical form
+   *
+   * Fields are put in canonical BR Code order (see encode) and the CRC is
+   * recalculated; values are kept as they are, so canonical codes come back
+   * unchanged.
+   * @param {string} pixString - Valid PIX payment string
+   * @returns {string} - Canonical PIX payment string
+   */
+  static canonicalize(pixString) {
+    return PixCodec.encode(PixCodec.decode(pixString));
+  }
+
+  /**
+   * Validates a PIX payment string and reports every issue found
+   *
+   * Unlike decode, this never throws: malformed input is reported as issues.
+   * @param {string} pixString - PIX payment string
+   * @returns {Object} - Result with isValid boolean and issues array, each issue
+   * having severity ("error" or "warning"), path (e.g. "62/05") and message
+   */
+  static validate(pixString) {
+    const issues = [];
+
+    if (!pixString || typeof pixString !== "string") {
+      issues.push({
+        severity: "error",
+        path: null,
+        message: "PIX string must be a non-empty string"
+      });
+      return { isValid: false, issues };
+    }
+
+    const errors = [];
+    const fields = decodeFields(pixString, EMV_TAGS, { errors });
+
+    errors.forEach((error) => {
+      issues.push({
+        severity: "error",
+        path: error.path,
+        message: error.message
+      });
+    });
+    inspectFields(fields, EMV_TAGS, "", issues);
+
+    const ids = fields.map((field) => field.id);
+
+    MANDATORY_FIELDS.forEach((id) => {
+      if (!ids.includes(id)) {
+        issues.push({
+          severity: "error",
+          path: id,
+          message: `Missing mandatory field: ${findTag(EMV_TAGS, id).description}`
+        });
+      }
+    });
+
+    // Ordering: 00 first, 63 last and everything else by ascending ID
+    if (ids.length && ids[0] !== "00" && ids.includes("00")) {
+      issues.push({
+        severity: "error",
+        path: "00",
+        message: "Payload Format Indicator must be the first field"
+      });
+    }
+
+    if (ids.length && ids[ids.length - 1] !== "63" && ids.includes("63")) {
+      issues.push({
+        severity: "error",
+        path: "63",
+        message: "CRC must be the last field"
+      });
+    }
+
+    const orderedIds = ids.filter((id) => id !== "00" && id !== "63");
+    orderedIds.forEach((id, index) => {
+      if (index > 0 && id < orderedIds[index - 1]) {
+        issues.push({
+          severity: "warning",
+          path: id,
+          message: `Field ${id} appears after field ${orderedIds[index - 1]}; fields should be in ascending ID order`
+        });
+      }
+    });
+
+    // Fixed values
+    const expectedValues = { "00": "01", 53: "986", 58: "BR" };
+    Object.keys(expectedValues).forEach((id) => {
+      const field = findField(fields, id);
+      if (field && field.value !== expectedValues[id]) {
+        issues.push({
+          severity: "error",
+          path: id,
+          message: `${findTag(EMV_TAGS, id).description} must be "${expectedValues[id]}"`
+        });
+      }
+    });
+
+    const merchantAccount = findField(fields, "26");
+    if (merchantAccount && Array.isArray(merchantAccount.value)) {
+      const gui = findField(merchantAccount.value, "00");
+      if (!gui || gui.value.toUpperCase() !== "BR.GOV.BCB.PIX") {
+        issues.push({
+          severity: "error",
+          path: "26/00",
+          message: 'Merchant account GUI must be "BR.GOV.BCB.PIX"'
+        });
+      }
+
+      if (
+        !findField(merchantAccount.value, "01") &&
+        !findField(merchantAccount.value, "25")
+      ) {
+        issues.push({
+          severity: "error",
+          path: "26",
+          message: "Merchant account must carry either a key (01) or a URL (25)"
+        });
+      }
+
+      const key = findField(merchantAccount.value, "01");
+      const keyValidation = key && PixCodec.validateKey(key.value);
+      if (keyValidation && !keyValidation.isValid) {
+        issues.push({
+          severity: "error",
+          path: "26/01",
+          message: `Invalid PIX key: ${keyValidation.error}`
+        });
+      }
+    }
+
+    const amount = findField(fields, "54");
+    if (amount && !/^\d+(\.\d{1,2})?$/.test(amount.value)) {
+      issues.push({
+        severity: "error",
+        path: "54",
+        message: `Malformed amount "${amount.value}": expected digits with "." and up to 2 decimals`
+      });
+    } else if (amount && parseFloat(amount.value) <= 0) {
+      issues.push({
+        severity: "error",
+        path: "54",
+        message: "Amount must be greater than zero"
+      });
+    }
+
+    // Lengths are checked above; dynamic codes always carry "***"
+    const additionalData = findField(fields, "62");
+    const txid =
+      additionalData && Array.isArray(additionalData.value)
+        ? findField(additionalData.value, "05")
+        : undefined;
+    if (txid && txid.value !== "***" && !/^[A-Za-z0-9]+$/.test(txid.value)) {
+      issues.push({
+        severity: "warning",
+        path: "62/05",
+        message:
+          "Transaction ID must contain only letters and digits (no spaces, hyphens or symbols)"
+      });
+    }
+
+    const crcField = findField(fields, "63");
+    if (crcField && ids[ids.length - 1] === "63") {
+      const calculatedCRC = calculateCRC16(pixString.slice(0, -4));
+      if (crcField.value.length !== 4) {
+        issues.push({
+          severity: "error",
+          path: "63",
+          message: "CRC must be 4 characters long"
+        });
+      } else if (crcField.value !== calculatedCRC) {
+        issues.push({
+          severity: "error",
+          path: "63",
+          message: `Invalid CRC. Expected: ${calculatedCRC}, Got: ${crcField.value}`
+        });
+      }
+    }
+
+    return {
+      isValid: !issues.some((issue) => issue.severity === "error"),
+      issues
+    };
+  }
+
+  /**
+   * Parses a PIX payment string into a flat payment object
+   *
+   * Fields without a matching property (e.g. 62/50 or templates 80-99) are
+   * kept in `unknownFields` with their raw values so that PixCodec.build can
+   * restore them.
+   * @param {string} pixString - PIX payment string
+   * @returns {Object} - Payment object with key, keyType, merchantName,
+   * merchantCity, amount (number), txid, description, mcc, currency, country,
+   * postalCode, isDynamic, locationUrl and unknownFields
+   */
+  static parse(pixString) {
+    const decoded = PixCodec.decode(pixString);
+    const payment = {};
+    const unknownFields = [];
+    const knownPaths = PAYMENT_FIELDS.map((field) => field.path);
+
+    const collect = (fields, parentPath) => {
+      fields.forEach((field) => {
+        const path = parentPath ? `${parentPath}/${field.id}` : field.id;
+
+        if (path === "63") {
+          return;
+        }
+
+        if (!parentPath && (path === "26" || path === "62")) {
+          collect(field.value, path);
+          return;
+        }
+
+        if (knownPaths.includes(path)) {
+          const { property } = PAYMENT_FIELDS.find((f) => f.path === path);
+          payment[property] = field.value;
+          return;
+        }
+
+        const rawValue = Array.isArray(field.value)
+          ? encodeFields(field.value)
+          : field.value;
+
+        if (DEFAULT_FIELD_VALUES[path] !== rawValue) {
+          unknownFields.push({ path, value: rawValue });
+        }
+      });
+    };
+    collect(decoded.value, "");
+
+    const key = payment.key || null;
+
+    return {
+      key,
+      keyType: key ? PixCodec.validateKey(key).type : null,
+      merchantName: payment.merchantName || null,
+      merchantCity: payment.merchantCity || null,
+      amount: payment.amount ? parseFloat(payment.amount) : null,
+      txid: payment.txid || null,
+      description: payment.description || null,
+      mcc: payment.mcc || null,
+      currency: payment.currency || null,
+      country: payment.country || null,
+      postalCode: payment.postalCode || null,
+      isDynamic: decoded.isDynamic,
+      locationUrl: decoded.locationUrl,
+      unknownFields
+    };
+  }
+
+  /**
+   * Builds a PIX payment string from a payment object, the inverse of parse
+   *
+   * Fields are emitted in canonical order (see encode), so
+   * build(parse(x)) === x for canonical codes. Missing mcc, currency and country default to "0000",
+   * "986" (BRL) and "BR".
+   * @param {Object} payment - Payment object as returned by PixCodec.parse
+   * @returns {string} - PIX payment string ready for QR code
+   */
+  static build(payment) {
+    if (!payment || typeof payment !== "object") {
+      throw new Error("Invalid payment object. Expected an object.");
+    }
+
+    const values = {
+      mcc: "0000",
+      currency: "986",
+      country: "BR",
+      ...payment
+    };
+
+    if (values.amount !== null && values.amount !== undefined) {
+      values.amount = PixAmount.normalize(values.amount);
+    }
+
+    const fields = [];
+
+    Object.keys(DEFAULT_FIELD_VALUES).forEach((path) => {
+      setFieldValue(fields, path, DEFAULT_FIELD_VALUES[path]);
+    });
+
+    PAYMENT_FIELDS.forEach(({ property, path }) => {
+      if (values[property] !== null && values[property] !== undefined) {
+        setFieldValue(fields, path, String(values[property]));
+      }
+    });
+
+    (payment.unknownFields || []).forEach(({ path, value }) => {
+      setFieldValue(fields, path, value);
+    });
+
+    return PixCodec.encode({ value: fields });
+  }
+
+  /**
+   * Looks up a field in the EMV tag dictionary
+   * @param {string} path - Field path, with nested IDs separated by "/" (e.g. "62/05")
+   * @returns {Object|null} - Entry with id, description, template, format and maxLength
+   */
+  static getTagDefinition(path) {
+    if (!path || typeof path !== "string") {
+      return null;
+    }
+
+    let tags = EMV_TAGS;
+    let tag;
+
+    for (const id of path.split("/")) {
+      tag = tags ? findTag(tags, id) : undefined;
+      if (!tag) {
+        return null;
+      }
+      tags = tag.children;
+    }
+
+    return {
+      id: path.split("/").pop(),
+      description: tag.description,
+      template: Boolean(tag.template),
+      format: tag.format || null,
+      maxLength: tag.maxLength
+    };
+  }
+
+  /**
+   * Creates a PIX payment data structure with common defaults
+   * @param {Object} params - Payment parameters
+   * @param {string} params.key - PIX key (CPF, CNPJ, email, phone, or random key), written in its normalized form (see normalizeKey)
+   * @param {string} params.merchantName - Merchant name
+   * @param {string} params.merchantCity - Merchant city
+   * @param {string|number} [params.amount] - Transaction amount, e.g. "1234.56" or "1.234,56" (optional)
+   * @param {string} [params.transactionId] - Transaction ID, alphanumeric and up to 25 characters (optional, see generateTxid)
+   * @param {string} [params.description] - Payment description shown to the payer, in 26/02, up to 72 characters (optional)
+   * @param {string|number} [params.mcc] - Merchant Category Code, 4 digits (defaults to "0000")
+   * @param {string} [params.postalCode] - Merchant postal code (optional)
+   * @param {Object} [params.alternateLanguage] - Merchant information in an alternate language (optional)
+   * @param {string} params.alternateLanguage.language - Language code (e.g. "EN")
+   * @param {string} params.alternateLanguage.merchantName - Merchant name in that language, sanitized as for field 59
+   * @param {string} [params.alternateLanguage.merchantCity] - Merchant city in that language, sanitized as for field 60 (optional)
+   * @returns {Object} - PIX data structure ready for encoding
+   */
+  static createPayment(params) {
+    const {
+      key,
+      merchantName,
+      merchantCity,
+      amount,
+      transactionId,
+      description,
+      mcc,
+      postalCode,
+      alternateLanguage
+    } = params;
+
+    if (!key || !merchantName || !merchantCity) {
+      throw new Error(
+        "Missing required parameters: key, merchantName, and merchantCity are required"
+      );
+    }
+
+    // Numeric MCCs (e.g. 5812) are written as text
+    const mccCode = mcc === undefined ? undefined : String(mcc);
+
+    if (mccCode !== undefined && !/^\d{4}$/.test(mccCode)) {
+      throw new Error("Invalid MCC: expected 4 digits");
+    }
+
+    if (description && byteLength(description) > MAX_DESCRIPTION_LENGTH) {
+      throw new Error(
+        `Invalid description: must be at most ${MAX_DESCRIPTION_LENGTH} characters`
+      );
+    }
+
+    if (postalCode && postalCode.length > 10) {
+      throw new Error("Invalid postal code: must be at most 10 characters");
+    }
+
+    if (transactionId) {
+      const txidValidation = PixCodec.validateTxid(transactionId);
+      if (!txidValidation.isValid) {
+        throw new Error(`Invalid transaction ID: ${txidValidation.error}`);
+      }
+    }
+
+    if (
+      alternateLanguage &&
+      (!/^[A-Za-z]{2}$/.test(alternateLanguage.language || "") ||
+        !alternateLanguage.merchantName)
+    ) {
+      throw new Error(
+        "Invalid alternate language: a 2-letter language and merchantName are required"
+      );
+    }
+
+    const merchantAccountInformation = [
+      {
+        id: "01",
+        description: "Key",
+        length: "variable",
+        value: PixCodec.normalizeKey(key)
+      }
+    ];
+
+    if (description) {
+      merchantAccountInformation.push({
+        id: "02",
+        description: "Additional Information",
+        length: "variable",
+        value: description
+      });
+    }
+
+    const pixData = {
+      value: createBaseFields(
+        merchantAccountInformation,
+        merchantName,
+        merchantCity,
+        mccCode
+      )
+    };
+
+    // The key and the description share the 99 bytes of template 26
+    const merchantAccountLength = byteLength(
+      encodeFields(findField(pixData.value, "26").value)
+    );
+    if (merchantAccountLength > MAX_FIELD_LENGTH) {
+      throw new Error(
+        `Invalid merchant account information: the key and description take ${merchantAccountLength} bytes of field 26, at most ${MAX_FIELD_LENGTH} fit`
+      );
+    }
+
+    // Add amount if provided; encode puts the fields in canonical order
+    if (amount !== undefined && amount !== null && amount !== "") {
+      pixData.value.push({
+        id: "54",
+        description: "Transaction Amount",
+        length: "variable",
+        value: PixAmount.normalize(amount)
+      });
+    }
+
+    // Add postal code if provided
+    if (postalCode) {
+      pixData.value.push({
+        id: "61",
+        description: "Postal Code",
+        length: "variable",
+        value: postalCode
+      });
+    }
+
+    // Add additional data if provided
+    if (transactionId) {
+      pixData.value.push({
+        id: "62",
+        description: "Additional Data Field Template",
+        length: "variable",
+        value: [
+          {
+            id: "05",
+            description: "Transaction ID",
+            length: "variable",
+            value: transactionId
+          },
+          // Add BR Code specific template
+          createBRCodeTemplate()
+        ]
+      });
+    }
+
+    // Add merchant information in an alternate language if provided; the
+    // name and city follow the same rules as 59 and 60
+    if (alternateLanguage) {
+      const languageTemplate = {
+        id: "64",
+        description: "Merchant Information - Language Template",
+        length: "variable",
+        value: [
+          {
+            id: "00",
+            description: "Language Preference",
+            length: "02",
+            value: alternateLanguage.language.toUpperCase()
+          },
+          {
+            id: "01",
+            description: "Merchant Name - Alternate Language",
+            length: "variable",
+            value: PixMerchant.sanitizeName(alternateLanguage.merchantName)
+              .value
+          }
+        ]
+      };
+
+      if (alternateLanguage.merchantCity) {
+        languageTemplate.value.push({
+          id: "02",
+          description: "Merchant City - Alternate Language",
+          length: "variable",
+          value: PixMerchant.sanitizeCity(alternateLanguage.merchantCity).value
+        });
+      }
+
+      pixData.value.push(languageTemplate);
+    }
+
+    return pixData;
+  }
+
+  /**
+   * Creates a dynamic PIX payment data structure (COB/COBV charges)
+   *
+   * Dynamic codes point to a payload hosted by the PSP: field 26 carries the
+   * location URL (26/25) instead of a key, the amount (54) is omitted because
+   * it is retrieved from the location, and the transaction ID (62/05) is
+   * always "***".
+   * @param {Object} params - Payment parameters
+   * @param {string} params.url - PSP location URL (the scheme is stripped)
+   * @param {string} params.merchantName - Merchant name
+   * @param {string} params.merchantCity - Merchant city
+   * @param {boolean} [params.singleUse] - Whether the code may be paid only once (optional)
+   * @returns {Object} - PIX data structure ready for encoding
+   */
+  static createDynamicPayment(params) {
+    const { url, merchantName, merchantCity, singleUse } = params;
+
+    if (!url || !merchantName || !merchantCity) {
+      throw new Error(
+        "Missing required parameters: url, merchantName, and merchantCity are required"
+      );
+    }
+
+    const location = url.replace(/^https?:\/\//i, "");
+
+    if (location.length > 77) {
+      throw new Error(
+        "Invalid location URL: must be at most 77 characters without the scheme"
+      );
+    }
+
+    const pixData = {
+      value: createBaseFields(
+        [
+          {
+            id: "25",
+            description: "URL",
+            length: "variable",
+            value: location
+          }
+        ],
+        merchantName,
+        merchantCity
+      )
+    };
+
+    if (singleUse) {
+      pixData.value.push({
+        id: "01",
+        description: "Point of Initiation Method",
+        length: "02",
+        value: "12"
+      });
+    }
+
+    pixData.value.push({
+      id: "62",
+      description: "Additional Data Field Template",
+      length: "variable",
+      value: [
+        {
+          id: "05",
+          description: "Transaction ID",
+          length: "03",
+          value: "***"
+        },
+        createBRCodeTemplate()
+      ]
+    });
+
+    return pixData;
+  }
+
+  /**
+   * Validates a transaction ID (62/05)
+   *
+   * Only letters and digits are allowed: up to 25 characters in static codes,
+   * where "***" stands for no transaction ID, and 26 to 35 in dynamic charges.
+   * @param {string} txid - Transaction ID to validate
+   * @param {Object} [options] - Validation options
+   * @param {boolean} [options.dynamic] - Validate for a dynamic charge (COB/COBV)
+   * @returns {Object} - Validation result with isValid boolean (and an error
+   * message when invalid)
+   */
+  static validateTxid(txid, { dynamic = false } = {}) {
+    if (!txid || typeof txid !== "string") {
+      return { isValid: false, error: "must be a non-empty string" };
+    }
+
+    if (!dynamic && txid === "***") {
+      return { isValid: true };
+    }
+
+    if (!/^[A-Za-z0-9]+$/.test(txid)) {
+      return {
+        isValid: false,
+        error:
+          "must contain only letters and digits (no spaces, hyphens or symbols)"
+      };
+    }
+
+    const { min, max } = dynamic ? TXID_LENGTHS.dynamic : TXID_LENGTHS.static;
+    if (txid.length < min || txid.length > max) {
+      return {
+        isValid: false,
+        error: dynamic
+          ? `must be ${min} to ${max} characters long in dynamic charges`
+          : `must be at most ${max} characters long`
+      };
+    }
+
+    return { isValid: true };
+  }
+
+  /**
+   * Generates a random transaction ID
+   *
+   * IDs are made of letters and digits drawn from the Web Crypto API, which
+   * at full length (25 characters) leaves about 10^44 possible values.
+   * @param {Object} [options] - Generation options
+   * @param {string} [options.prefix] - Alphanumeric prefix, e.g. a Salesforce record ID
+   * @param {boolean} [options.dynamic] - Generate for a dynamic charge (26 to 35 characters)
+   * @param {number} [options.length] - Total length, prefix included (defaults
+   * to the longest allowed: 25, or 35 for dynamic charges)
+   * @returns {string} - Transaction ID
+   */
+  static generateTxid({ prefix = "", dynamic = false, length } = {}) {
+    const { min, max } = dynamic ? TXID_LENGTHS.dynamic : TXID_LENGTHS.static;
+    const minLength = Math.max(min, MIN_TXID_RANDOM_LENGTH);
+    const totalLength = length === undefined ? max : length;
+
+    if (
+      !Number.isInteger(totalLength) ||
+      totalLength < minLength ||
+      totalLength > max
+    ) {
+      throw new Error(
+        `Invalid transaction ID length: expected ${minLength} to ${max}`
+      );
+    }
+
+    if (typeof prefix !== "string" || !/^[A-Za-z0-9]*$/.test(prefix)) {
+      throw new Error(
+        "Invalid transaction ID prefix: only letters and digits are allowed"
+      );
+    }
+
+    if (totalLength - prefix.length < MIN_TXID_RANDOM_LENGTH) {
+      throw new Error(
+        `Invalid transaction ID prefix: must leave room for ${MIN_TXID_RANDOM_LENGTH} random characters`
+      );
+    }
+
+    return prefix + randomCharacters(totalLength - prefix.length);
+  }
+
+  /**
+   * Validates a PIX key format
+   *
+   * CPF and CNPJ keys are checked against their check digits (including the
+   * alphanumeric CNPJ format) and phone numbers against the list of valid DDDs.
+   * Eleven digits without "+55" are read as a CPF when the check digits match
+   * and as a mobile number otherwise.
+   * @param {string} key - PIX key to validate
+   * @returns {Object} - Validation result with isValid boolean, type and the
+   * normalized key (or an error message when invalid)
+   */
+  static validateKey(key) {
+    if (!key || typeof key !== "string") {
+      return {
+        isValid: false,
+        type: null,
+        error: "Key must be a non-empty string"
+      };
+    }
+
+    const trimmedKey = key.trim();
+
+    // Email validation
+    if (trimmedKey.includes("@")) {
+      if (
+        trimmedKey.length <= 77 &&
+        /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(trimmedKey)
+      ) {
+        return {
+          isValid: true,
+          type: "EMAIL",
+          normalized: trimmedKey.toLowerCase()
+        };
+      }
+      return { isValid: false, type: null, error: "Invalid email key" };
+    }
+
+    // Random key validation (UUID format)
+    if (
+      /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(
+        trimmedKey
+      )
+    ) {
+      return {
+        isValid: true,
+        type: "RANDOM",
+        normalized: trimmedKey.toLowerCase()
+      };
+    }
+
+    // Remove formatting characters such as "123.456.789-09" or "(31) 99999-8888"
+    const compactKey = trimmedKey.replace(/[\s().\-/]/g, "");
+
+    // Phone validation (Brazilian format)
+    if (compactKey.startsWith("+")) {
+      const match = /^\+55(\d{10,11})$/.exec(compactKey);
+      if (match && isValidPhoneNumber(match[1])) {
+        return { isValid: true, type: "PHONE", normalized: compactKey };
+      }
+      return {
+        isValid: false,
+        type: null,
+        error:
+          "Invalid phone key: expected +55 followed by a valid DDD and number"
+      };
+    }
+
+    // CPF validation (11 digits), falling back to mobile numbers without +55
+    if (/^\d{11}$/.test(compactKey)) {
+      if (isValidCPF(compactKey)) {
+        return { isValid: true, type: "CPF", normalized: compactKey };
+      }
+      if (isValidPhoneNumber(compactKey)) {
+        return { isValid: true, type: "PHONE", normalized: "+55" + compactKey };
+      }
+      return { isValid: false, type: null, error: "Invalid CPF check digits" };
+    }
+
+    // CNPJ validation (12 alphanumeric characters and 2 check digits)
+    if (/^[0-9A-Z]{12}\d{2}$/i.test(compactKey)) {
+      const cnpj = compactKey.toUpperCase();
+      if (isValidCNPJ(cnpj)) {
+        return { isValid: true, type: "CNPJ", normalized: cnpj };
+      }
+      return { isValid: false, type: null, error: "Invalid CNPJ check digits" };
+    }
+
+    // Landline numbers without +55
+    if (/^\d{10}$/.test(compactKey) && isValidPhoneNumber(compactKey)) {
+      return { isValid: true, type: "PHONE", normalized: "+55" + compactKey };
+    }
+
+    return { isValid: false, type: null, error: "Invalid PIX key format" };
+  }
+
+  /**
+   * Returns the canonical form of a PIX key, as expected in field 26/01
+   *
+   * CPF and CNPJ keys lose their formatting, phone numbers get the +55 prefix
+   * and emails and random keys are lowercased.
+   * @param {string} key - PIX key to normalize
+   * @returns {string} - Normalized key
+   */
+  static normalizeKey(key) {
+    const result = PixCodec.validateKey(key);
+
+    if (!result.isValid) {
+      throw new Error(`Invalid PIX key: ${result.error}`);
+    }
+
+    return result.normalized;
+  }
+}
+
+/**
+ * Encodes a PIX data structure into a PIX string (see PixCodec.encode)
+ * @param {Object} pixData - PIX data structure
+ * @param {Object} [options] - Encoding options
+ * @returns {string} - Encoded PIX string
+ */
+export function encode(pixData, options) {
+  return PixCodec.encode(pixData, options);
+}
+
+/**
+ * Decodes a PIX string into a data structure (see PixCodec.decode)
+ * @param {string} pixString - PIX string to decode
+ * @param {Object} [options] - Decoding options
+ * @returns {Object} - Decoded PIX data structure
+ */
+export function decode(pixString, options) {
+  return PixCodec.decode(pixString, options);
+}
+
+/**
+ * Creates a static PIX payment data structure (see PixCodec.createPayment)
+ * @param {Object} params - Payment parameters
+ * @returns {Object} - PIX data structure ready for encoding
+ */
+export function createPayment(params) {
+  return PixCodec.createPayment(params);
+}
+
+/**
+ * Validates a PIX key and detects its type (see PixCodec.validateKey)
+ * @param {string} key - PIX key
+ * @returns {Object} - Validation result with isValid, type and normalized key
+ */
+export function validateKey(key) {
+  return PixCodec.validateKey(key);
+}
+
+// Default export for ES6 modules
+export default PixCodec;
@@ -0,0 +1,199 @@
+/**
+ * PIX Data Schema
+ *
+ * JSON Schema of the field tree accepted by PixCodec.encode (see pix.json),
+ * also published as pix.schema.json at the project root. Input is checked
+ * here against the subset of JSON Schema the schema uses ($ref, type,
+ * required, properties, items, pattern and oneOf), so that no validation
+ * library has to be loaded.
+ */
+
+const SCHEMA = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  title: "PIX data",
+  description:
+    "Field tree of a PIX code (BR Code), as accepted by PixCodec.encode and returned by PixCodec.decode",
+  type: "object",
+  required: ["value"],
+  properties: {
+    value: { $ref: "#/$defs/fields" }
+  },
+  $defs: {
+    fields: {
+      type: "array",
+      items: { $ref: "#/$defs/field" }
+    },
+    field: {
+      type: "object",
+      required: ["id", "value"],
+      properties: {
+        id: {
+          description: "Two-digit field ID, e.g. 59 for the merchant name",
+          type: "string",
+          pattern: "^\\d{2}$"
+        },
+        description: {
+          description: "Name of the field, for readers only",
+          type: "string"
+        },
+        length: {
+          description:
+            'Two-digit length of a fixed-length value (checked against the value), or "variable"',
+          type: "string",
+          pattern: "^(\\d{2}|variable)$"
+        },
+        value: {
+          description: "Text of the field, or the fields of a template",
+          oneOf: [{ type: "string" }, { $ref: "#/$defs/fields" }]
+        }
+      }
+    }
+  }
+};
+
+const TYPE_NAMES = {
+  object: "an object",
+  array: "an array",
+  string: "a string"
+};
+
+/**
+ * Returns the JSON type of a value
+ * @param {*} value - Any value
+ * @returns {string} - "object", "array", "string", "number", "null", etc.
+ */
+function typeOf(value) {
+  if (value === null) {
+    return "null";
+  }
+  return Array.isArray(value) ? "array" : typeof value;
+}
+
+/**
+ * Follows the $ref of a subschema, if any
+ * @param {Object} schema - Subschema
+ * @returns {Object} - Referenced subschema, or the subschema itself
+ */
+function resolveRef(schema) {
+  if (!schema.$ref) {
+    return schema;
+  }
+
+  return schema.$ref
+    .slice(2)
+    .split("/")
+    .reduce((node, key) => node[key], SCHEMA);
+}
+
+/**
+ * Validates a value against a subschema, collecting every error found
+ * @param {*} value - Value to validate
+ * @param {Object} subschema - Subschema to validate against
+ * @param {string} path - JSON Pointer of the value (e.g. "/value/0/id")
+ * @param {Array} errors - Collects { path, message } errors
+ */
+function validateValue(value, subschema, path, errors) {
+  const schema = resolveRef(subschema);
+  const type = typeOf(value);
+
+  // The branches of oneOf differ by type, so the matching one is validated
+  if (schema.oneOf) {
+    const branches = schema.oneOf.map(resolveRef);
+    const branch = branches.find((option) => option.type === type);
+
+    if (!branch) {
+      errors.push({
+        path,
+        message: `expected ${branches.map((option) => TYPE_NAMES[option.type]).join(" or ")}, got ${type}`
+      });
+      return;
+    }
+
+    validateValue(value, branch, path, errors);
+    return;
+  }
+
+  if (schema.type && type !== schema.type) {
+    errors.push({
+      path,
+      message: `expected ${TYPE_NAMES[schema.type]}, got ${type}`
+    });
+    return;
+  }
+
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push({
+      path,
+      message: `"${value}" does not match the pattern ${schema.pattern}`
+    });
+  }
+
+  (schema.required || []).forEach((key) => {
+    if (value[key] === undefined) {
+      errors.push({ path, message: `missing "${key}"` });
+    }
+  });
+
+  Object.entries(schema.properties || {}).forEach(([key, property]) => {
+    if (value[key] !== undefined) {
+      validateValue(value[key], property, `${path}/${key}`, errors);
+    }
+  });
+
+  if (schema.items) {
+    value.forEach((item, index) => {
+      validateValue(item, schema.items, `${path}/${index}`, errors);
+    });
+  }
+}
+
+/**
+ * Error raised when PIX data does not follow the schema
+ *
+ * `errors` lists every problem as { path, message }, `path` being a JSON
+ * Pointer into the input (e.g. "/value/1/value/0/id"); `path` is the one of
+ * the first problem.
+ */
+export class PixDataError extends Error {
+  /**
+   * @param {Array} errors - Problems found, as { path, message }
+   */
+  constructor(errors) {
+    const [{ path, message }] = errors;
+    const more =
+      errors.length > 1 ? ` (and ${errors.length - 1} more problems)` : "";
+
+    super(`Invalid PIX data${path ? ` at ${path}` : ""}: ${message}${more}`);
+    this.name = "PixDataError";
+    this.path = path;
+    this.errors = errors;
+  }
+}
+
+export class PixDataSchema {
+  /**
+   * JSON Schema of the PIX data structure
+   * @returns {Object} - A copy of the schema
+   */
+  static get schema() {
+    return JSON.parse(JSON.stringify(SCHEMA));
+  }
+
+  /**
+   * Validates PIX data against the schema
+   *
+   * Declared lengths are only checked for their format here; see
+   * PixCodec.validateData for the comparison with the values.
+   * @param {*} pixData - PIX data structure
+   * @returns {Object} - Result with isValid boolean and errors, a list of
+   * { path, message }
+   */
+  static validate(pixData) {
+    const errors = [];
+    validateValue(pixData, SCHEMA, "", errors);
+
+    return { isValid: errors.length === 0, errors };
+  }
+}
+
+export default PixDataSchema;
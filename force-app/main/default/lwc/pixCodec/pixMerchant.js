@@ -0,0 +1,142 @@
+/**
+ * PIX Merchant Data Library
+ *
+ * Sanitizes the merchant name (field 59) and city (field 60) so that any
+ * text, such as a Salesforce Account name, fits the BR Code rules: uppercase
+ * ASCII letters, digits and a few punctuation marks, within 25 and 15
+ * characters. Every change made is reported so that callers can preview the
+ * final value.
+ */
+
+// Field 59 holds at most 25 characters and field 60 at most 15
+const MAX_NAME_LENGTH = 25;
+const MAX_CITY_LENGTH = 15;
+
+// Letters that do not decompose into a base letter and a diacritic
+const TRANSLITERATIONS = {
+  Æ: "AE",
+  Œ: "OE",
+  Ø: "O",
+  Đ: "D",
+  Ł: "L"
+};
+
+// Characters kept as they are; anything else becomes a space
+const DISALLOWED_CHARACTERS = /[^A-Z0-9\s.,&'/-]/g;
+
+// Punctuation left dangling at the end after truncating
+const TRAILING_PUNCTUATION = /[\s.,&'/-]+$/;
+
+/**
+ * Removes the diacritics of a text (e.g. "SÃO" becomes "SAO")
+ * @param {string} text - Uppercase text
+ * @returns {string} - Text without diacritics
+ */
+function transliterate(text) {
+  return text
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[ÆŒØĐŁ]/g, (letter) => TRANSLITERATIONS[letter]);
+}
+
+/**
+ * Shortens a text to a maximum length, cutting at the last word that fits
+ * @param {string} text - Text without repeated spaces
+ * @param {number} maxLength - Maximum length
+ * @returns {string} - Truncated text
+ */
+function truncateAtWord(text, maxLength) {
+  const cut = text.slice(0, maxLength);
+  const lastSpace = cut.lastIndexOf(" ");
+
+  // A single word longer than the limit can only be cut in the middle
+  const truncated =
+    text[maxLength] === " " || lastSpace === -1 ? cut : cut.slice(0, lastSpace);
+
+  return truncated.replace(TRAILING_PUNCTUATION, "");
+}
+
+/**
+ * Sanitizes a merchant text, recording every change made
+ * @param {string} value - Merchant name or city
+ * @param {string} label - Field label, for error messages
+ * @param {number} maxLength - Maximum length of the field
+ * @returns {Object} - Sanitized value, original value and changes
+ */
+function sanitize(value, label, maxLength) {
+  if (typeof value !== "string" || !value.trim()) {
+    throw new Error(`Invalid ${label}: expected a non-empty string`);
+  }
+
+  const changes = [];
+  const record = (reason, message) => changes.push({ reason, message });
+  let text = value;
+
+  const uppercase = text.toUpperCase();
+  if (uppercase !== text) {
+    record("UPPERCASED", "Converted to uppercase");
+  }
+  text = uppercase;
+
+  const ascii = transliterate(text);
+  if (ascii !== text) {
+    record("TRANSLITERATED", "Removed accents (e.g. Ã, Ç)");
+  }
+  text = ascii;
+
+  const allowed = text.replace(DISALLOWED_CHARACTERS, " ");
+  if (allowed !== text) {
+    record(
+      "REMOVED_SYMBOLS",
+      "Removed symbols other than . , & ' / and - (e.g. @, #, *)"
+    );
+  }
+
+  // Spaces left by removed symbols are not reported
+  if (/^\s|\s$|\s{2}|[^\S ]/.test(text)) {
+    record("COLLAPSED_WHITESPACE", "Removed repeated or surrounding spaces");
+  }
+  text = allowed.replace(/\s+/g, " ").trim();
+
+  if (text.length > maxLength) {
+    text = truncateAtWord(text, maxLength);
+    record("TRUNCATED", `Shortened to ${maxLength} characters`);
+  }
+
+  if (!text) {
+    throw new Error(
+      `Invalid ${label} "${value}": no letters or digits left after sanitizing`
+    );
+  }
+
+  return { value: text, original: value, changes };
+}
+
+export class PixMerchant {
+  /**
+   * Sanitizes a merchant name for field 59
+   *
+   * The name is uppercased, stripped of accents and symbols, its spaces
+   * collapsed and, past 25 characters, cut at the last whole word.
+   * @param {string} name - Merchant name
+   * @returns {Object} - value (sanitized name), original and changes, a list of
+   * { reason, message } (reasons: UPPERCASED, TRANSLITERATED, REMOVED_SYMBOLS,
+   * COLLAPSED_WHITESPACE and TRUNCATED)
+   */
+  static sanitizeName(name) {
+    return sanitize(name, "merchant name", MAX_NAME_LENGTH);
+  }
+
+  /**
+   * Sanitizes a merchant city for field 60
+   *
+   * Same rules as sanitizeName, within 15 characters.
+   * @param {string} city - Merchant city
+   * @returns {Object} - value (sanitized city), original and changes
+   */
+  static sanitizeCity(city) {
+    return sanitize(city, "merchant city", MAX_CITY_LENGTH);
+  }
+}
+
+export default PixMerchant;
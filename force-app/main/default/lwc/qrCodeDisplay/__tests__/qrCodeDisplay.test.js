@@ -1,22 +1,33 @@
 import { createElement } from "@lwc/engine-dom";
 import QrCodeDisplay from "c/qrCodeDisplay";
-
-// Mock the loadScript function
-jest.mock("lightning/platformResourceLoader", () => ({
-  loadScript: jest.fn()
-}));
+import QrEncoder from "c/qrEncoder";
 
 // Mock the PixCodec
-jest.mock("../pixCodec", () => ({
+jest.mock("c/pixCodec", () => ({
   __esModule: true,
+  PixAmount: jest.requireActual("c/pixCodec").PixAmount,
   default: {
     createPayment: jest.fn(),
-    encode: jest.fn()
+    encode: jest.fn(),
+    parse: jest.fn(),
+    validate: jest.fn()
   }
 }));
 
-import { loadScript } from "lightning/platformResourceLoader";
-import PixCodec from "../pixCodec";
+import PixCodec from "c/pixCodec";
+
+// Mock the Apex dispatcher of status methods given by name
+jest.mock(
+  "@salesforce/apex/PixPaymentStatusDispatcher.checkPaymentStatus",
+  () => ({ default: jest.fn() }),
+  { virtual: true }
+);
+
+import checkPaymentStatusByName from "@salesforce/apex/PixPaymentStatusDispatcher.checkPaymentStatus";
+
+// Resolves pending promise callbacks (e.g. a status provider response) under fake timers
+const flushPromises = () =>
+  Promise.resolve().then().then().then().then().then();
 
 describe("c-qr-code-display", () => {
   let consoleErrorSpy;
@@ -31,9 +42,9 @@ describe("c-qr-code-display", () => {
     // Reset PixCodec mocks
     PixCodec.createPayment.mockClear();
     PixCodec.encode.mockClear();
-
-    // Clean up window.encodeQR
-    delete window.encodeQR;
+    PixCodec.parse.mockReset();
+    PixCodec.validate.mockReset();
+    PixCodec.validate.mockReturnValue({ isValid: true, issues: [] });
   });
 
   afterEach(() => {
@@ -45,40 +56,31 @@ describe("c-qr-code-display", () => {
     consoleErrorSpy.mockRestore();
   });
 
-  it("should handle QR library loading failure gracefully", async () => {
+  it("should render the QR code without loading any script", async () => {
     // Arrange
-    const testError = new Error("Failed to load script");
-    loadScript.mockRejectedValue(testError);
-
     const element = createElement("c-qr-code-display", {
       is: QrCodeDisplay
     });
+    element.pixCode =
+      "00020126360014BR.GOV.BCB.PIX0114234842250001665204000053039865406123.455802BR5907WISEFOX6014BELO HORIZONTE62450507ref123450300017BR.GOV.BCB.BRCODE01051.0.063040D3F";
+    element.showQRCode = true;
 
     // Act
     document.body.appendChild(element);
-
-    // Wait for the component to attempt loading the QR library and handle the promise rejection
-    await new Promise((resolve) => setTimeout(resolve, 100));
+    await flushPromises();
 
     // Assert
-    // Verify that console.error was called with the expected error message
-    expect(consoleErrorSpy).toHaveBeenCalledWith(
-      "QR Code library loading error:",
-      expect.any(Error)
+    const svg = element.shadowRoot.querySelector('[data-id="qrCode"] svg');
+    expect(svg.getAttribute("viewBox")).toBe("0 0 57 57");
+    expect(svg.querySelector("path").getAttribute("d")).toMatch(
+      /^M2 2h7v1h-7z/
     );
-
-    // Verify the error message is properly set
-    expect(element.errorMessage).toContain("Failed to load QR code library");
-
-    // Verify loading state is false after error
+    expect(element.errorMessage).toBe("");
     expect(element.isLoading).toBe(false);
   });
 
   it("should display PIX code when showPixCode is true", async () => {
     // Arrange
-    const mockEncodeQR = jest.fn().mockReturnValue("<svg>mock qr code</svg>");
-    loadScript.mockResolvedValue();
-
     const element = createElement("c-qr-code-display", {
       is: QrCodeDisplay
     });
@@ -89,42 +91,13 @@ describe("c-qr-code-display", () => {
 
     // Act
     document.body.appendChild(element);
-
-    // Mock window.encodeQR after loadScript resolves
-    await new Promise((resolve) => {
-      setTimeout(() => {
-        window.encodeQR = mockEncodeQR;
-        resolve();
-      }, 0);
-    });
+    await flushPromises();
 
     // Assert
     expect(element.pixCode).toBe(testPixCode);
     expect(element.showPixCode).toBe(true);
   });
 
-  it("should update loading and error states", async () => {
-    // Arrange
-    // Mock loadScript to resolve but don't set window.encodeQR
-    loadScript.mockResolvedValue();
-
-    const element = createElement("c-qr-code-display", {
-      is: QrCodeDisplay
-    });
-
-    // Act
-    document.body.appendChild(element);
-
-    // Wait for the component to complete loading attempt
-    await new Promise((resolve) => setTimeout(resolve, 100));
-
-    // Assert
-    // After trying to load QR library and failing to find window.encodeQR, loading should be false and error should be set
-    expect(element.isLoading).toBe(false);
-    expect(element.errorMessage).toBeTruthy();
-    expect(element.errorMessage).toContain("Failed to load QR code library");
-  });
-
   it("should generate PIX code from payment data using PixCodec", async () => {
     // Arrange
     const mockPaymentData = {
@@ -142,8 +115,6 @@ describe("c-qr-code-display", () => {
     PixCodec.createPayment.mockReturnValue(mockPaymentDataObject);
     PixCodec.encode.mockReturnValue(mockPixCode);
 
-    loadScript.mockResolvedValue();
-
     const element = createElement("c-qr-code-display", {
       is: QrCodeDisplay
     });
@@ -177,8 +148,6 @@ describe("c-qr-code-display", () => {
       throw mockError;
     });
 
-    loadScript.mockResolvedValue();
-
     const element = createElement("c-qr-code-display", {
       is: QrCodeDisplay
     });
@@ -202,8 +171,6 @@ describe("c-qr-code-display", () => {
       // Missing merchantName and merchantCity
     };
 
-    loadScript.mockResolvedValue();
-
     const element = createElement("c-qr-code-display", {
       is: QrCodeDisplay
     });
@@ -236,8 +203,6 @@ describe("c-qr-code-display", () => {
       PixCodec.createPayment.mockReturnValue(mockPaymentDataObject);
       PixCodec.encode.mockReturnValue(mockPixCode);
 
-      loadScript.mockResolvedValue();
-
       const element = createElement("c-qr-code-display", {
         is: QrCodeDisplay
       });
@@ -259,10 +224,42 @@ describe("c-qr-code-display", () => {
       expect(element.errorMessage).toBe("");
     });
 
-    it("should handle null/undefined payment data gracefully", async () => {
+    it("should forward every createPayment parameter from payment data", async () => {
       // Arrange
-      loadScript.mockResolvedValue();
+      const mockPaymentData = {
+        key: "23484225000166",
+        merchantName: "WISEFOX",
+        merchantCity: "BELO HORIZONTE",
+        amount: "10.00",
+        transactionId: "ref1234",
+        description: "Order 1234",
+        mcc: "5812",
+        postalCode: "30130010",
+        alternateLanguage: {
+          language: "EN",
+          merchantName: "WISEFOX",
+          merchantCity: "BELO HORIZONTE"
+        }
+      };
+
+      PixCodec.createPayment.mockReturnValue({ value: [] });
+      PixCodec.encode.mockReturnValue("forwarded-pix-code");
+
+      const element = createElement("c-qr-code-display", {
+        is: QrCodeDisplay
+      });
+      document.body.appendChild(element);
+
+      // Act
+      element.generatePixCodeFromPaymentData(mockPaymentData);
 
+      // Assert
+      expect(PixCodec.createPayment).toHaveBeenCalledWith(mockPaymentData);
+      expect(element.pixCode).toBe("forwarded-pix-code");
+    });
+
+    it("should handle null/undefined payment data gracefully", async () => {
+      // Arrange
       const element = createElement("c-qr-code-display", {
         is: QrCodeDisplay
       });
@@ -294,8 +291,6 @@ describe("c-qr-code-display", () => {
         throw mockError;
       });
 
-      loadScript.mockResolvedValue();
-
       const element = createElement("c-qr-code-display", {
         is: QrCodeDisplay
       });
@@ -327,8 +322,6 @@ describe("c-qr-code-display", () => {
       PixCodec.createPayment.mockReturnValue(mockPaymentDataObject);
       PixCodec.encode.mockReturnValue(mockPixCode);
 
-      loadScript.mockResolvedValue();
-
       const element = createElement("c-qr-code-display", {
         is: QrCodeDisplay
       });
@@ -359,8 +352,6 @@ describe("c-qr-code-display", () => {
       PixCodec.createPayment.mockReturnValue(mockPaymentDataObject);
       PixCodec.encode.mockReturnValue(mockPixCode);
 
-      loadScript.mockResolvedValue();
-
       const element = createElement("c-qr-code-display", {
         is: QrCodeDisplay
       });
@@ -380,4 +371,1011 @@ describe("c-qr-code-display", () => {
       expect(element.pixCode).toBe(mockPixCode);
     });
   });
+
+  describe("payment polling", () => {
+    const paymentData = {
+      key: "23484225000166",
+      merchantName: "WISEFOX",
+      merchantCity: "BELO HORIZONTE",
+      amount: "10.00",
+      transactionId: "ref1234"
+    };
+
+    const createPollingElement = (statusProvider, properties = {}) => {
+      const element = createElement("c-qr-code-display", {
+        is: QrCodeDisplay
+      });
+      Object.assign(element, {
+        paymentStatusProvider: statusProvider,
+        pollInterval: 1000,
+        ...properties
+      });
+      element.paymentData = paymentData;
+      document.body.appendChild(element);
+      return element;
+    };
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      PixCodec.createPayment.mockReturnValue({ value: [] });
+      PixCodec.encode.mockReturnValue("polling-pix-code");
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it.each([["checkPaymentStatus"], [{ method: "checkStatus" }]])(
+      "should reject the status provider %p",
+      (statusProvider) => {
+        // Arrange
+        const errorHandler = jest.fn();
+        const element = createElement("c-qr-code-display", {
+          is: QrCodeDisplay
+        });
+        element.paymentStatusProvider = statusProvider;
+        element.paymentData = paymentData;
+        element.addEventListener("error", errorHandler);
+
+        // Act
+        document.body.appendChild(element);
+        jest.advanceTimersByTime(5000);
+
+        // Assert
+        expect(errorHandler).toHaveBeenCalledTimes(1);
+        expect(errorHandler.mock.calls[0][0].detail).toEqual({
+          code: "INVALID_STATUS_PROVIDER",
+          message:
+            'paymentStatusProvider must be a function or an Apex method name such as "ClassName.methodName"'
+        });
+        expect(
+          element.shadowRoot.querySelector('[data-id="paymentStatus"]')
+        ).toBeNull();
+        expect(checkPaymentStatusByName).not.toHaveBeenCalled();
+      }
+    );
+
+    it("should poll an Apex method given by name through the dispatcher", async () => {
+      // Arrange
+      checkPaymentStatusByName.mockResolvedValue("PAID");
+      const confirmedHandler = jest.fn();
+      const element = createPollingElement("PixPaymentController.checkStatus");
+      element.addEventListener("paymentconfirmed", confirmedHandler);
+      await flushPromises();
+
+      // Act
+      jest.advanceTimersByTime(1000);
+      await flushPromises();
+
+      // Assert
+      expect(checkPaymentStatusByName).toHaveBeenCalledWith({
+        methodName: "PixPaymentController.checkStatus",
+        txid: "ref1234"
+      });
+      expect(confirmedHandler).toHaveBeenCalledTimes(1);
+      expect(confirmedHandler.mock.calls[0][0].detail.status).toBe("PAID");
+    });
+
+    it("should poll the status provider by txid until the payment is confirmed", async () => {
+      // Arrange
+      const statusProvider = jest
+        .fn()
+        .mockResolvedValueOnce("PENDING")
+        .mockResolvedValueOnce({ status: "CONCLUIDA" });
+      const confirmedHandler = jest.fn();
+      const element = createPollingElement(statusProvider);
+      element.addEventListener("paymentconfirmed", confirmedHandler);
+      await flushPromises();
+
+      // Assert - pending state with countdown
+      const status = element.shadowRoot.querySelector(
+        '[data-id="paymentStatus"]'
+      );
+      expect(status.textContent).toContain("Waiting for payment");
+      expect(
+        element.shadowRoot.querySelector('[data-id="countdown"]').textContent
+      ).toContain("5:00");
+
+      // Act - first check
+      jest.advanceTimersByTime(1000);
+      await flushPromises();
+
+      // Assert
+      expect(statusProvider).toHaveBeenCalledWith({ txid: "ref1234" });
+      expect(confirmedHandler).not.toHaveBeenCalled();
+
+      // Act - second check
+      jest.advanceTimersByTime(1000);
+      await flushPromises();
+
+      // Assert
+      expect(statusProvider).toHaveBeenCalledTimes(2);
+      expect(confirmedHandler).toHaveBeenCalledTimes(1);
+      expect(confirmedHandler.mock.calls[0][0].detail).toEqual({
+        txid: "ref1234",
+        pixCode: "polling-pix-code",
+        status: { status: "CONCLUIDA" }
+      });
+      expect(
+        element.shadowRoot.querySelector('[data-id="paymentStatus"]')
+          .textContent
+      ).toContain("Payment confirmed");
+
+      // Act - polling has stopped
+      jest.advanceTimersByTime(5000);
+      await flushPromises();
+
+      // Assert
+      expect(statusProvider).toHaveBeenCalledTimes(2);
+    });
+
+    it("should count down and stop polling once the timeout is reached", async () => {
+      // Arrange
+      const statusProvider = jest.fn().mockResolvedValue("PENDING");
+      const element = createPollingElement(statusProvider, { pollTimeout: 3 });
+      await flushPromises();
+
+      // Act
+      jest.advanceTimersByTime(2000);
+      await flushPromises();
+
+      // Assert
+      expect(
+        element.shadowRoot.querySelector('[data-id="countdown"]').textContent
+      ).toContain("0:01");
+
+      // Act
+      jest.advanceTimersByTime(1000);
+      await flushPromises();
+      const callCount = statusProvider.mock.calls.length;
+      jest.advanceTimersByTime(5000);
+      await flushPromises();
+
+      // Assert
+      expect(
+        element.shadowRoot.querySelector('[data-id="expiredNotice"]')
+          .textContent
+      ).toContain("This PIX code has expired");
+      expect(
+        element.shadowRoot.querySelector('[data-id="paymentStatus"]')
+      ).toBeNull();
+      expect(statusProvider).toHaveBeenCalledTimes(callCount);
+    });
+
+    it("should keep polling after a failed status check", async () => {
+      // Arrange
+      const statusProvider = jest
+        .fn()
+        .mockRejectedValueOnce(new Error("Network error"))
+        .mockResolvedValueOnce("PAID");
+      const confirmedHandler = jest.fn();
+      const element = createPollingElement(statusProvider);
+      element.addEventListener("paymentconfirmed", confirmedHandler);
+      await flushPromises();
+
+      // Act
+      jest.advanceTimersByTime(1000);
+      await flushPromises();
+      jest.advanceTimersByTime(1000);
+      await flushPromises();
+
+      // Assert
+      expect(consoleErrorSpy).toHaveBeenCalledWith(
+        "Payment status check error:",
+        expect.any(Error)
+      );
+      expect(confirmedHandler).toHaveBeenCalledTimes(1);
+    });
+
+    it("should not poll codes without a transaction ID", async () => {
+      // Arrange
+      const statusProvider = jest.fn();
+      PixCodec.parse.mockReturnValue({ txid: "***" });
+      const element = createElement("c-qr-code-display", {
+        is: QrCodeDisplay
+      });
+      element.paymentStatusProvider = statusProvider;
+      element.pixCode = "static-pix-code";
+      document.body.appendChild(element);
+      await flushPromises();
+
+      // Act
+      jest.advanceTimersByTime(10000);
+      await flushPromises();
+
+      // Assert
+      expect(statusProvider).not.toHaveBeenCalled();
+      expect(
+        element.shadowRoot.querySelector('[data-id="paymentStatus"]')
+      ).toBeNull();
+    });
+  });
+
+  describe("expiration", () => {
+    const paymentData = {
+      key: "23484225000166",
+      merchantName: "WISEFOX",
+      merchantCity: "BELO HORIZONTE",
+      amount: "10.00"
+    };
+
+    const createExpiringElement = (properties) => {
+      const element = createElement("c-qr-code-display", {
+        is: QrCodeDisplay
+      });
+      Object.assign(element, { showPixCode: true, ...properties });
+      element.paymentData = paymentData;
+      document.body.appendChild(element);
+      return element;
+    };
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      jest.setSystemTime(new Date("2026-01-01T12:00:00Z"));
+      PixCodec.createPayment.mockReturnValue({ value: [] });
+      PixCodec.encode.mockReturnValue("expiring-pix-code");
+      PixCodec.parse.mockReturnValue({ txid: "***" });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it("should count down to expiresInSeconds and dispatch expired", async () => {
+      // Arrange
+      const expiredHandler = jest.fn();
+      const element = createExpiringElement({ expiresInSeconds: 90 });
+      element.addEventListener("expired", expiredHandler);
+      await flushPromises();
+
+      // Assert
+      expect(
+        element.shadowRoot.querySelector('[data-id="countdown"]').textContent
+      ).toContain("Expires in 1:30");
+      expect(element.isExpired).toBe(false);
+
+      // Act
+      jest.advanceTimersByTime(90000);
+      await flushPromises();
+
+      // Assert
+      expect(element.isExpired).toBe(true);
+      expect(expiredHandler).toHaveBeenCalledTimes(1);
+      expect(expiredHandler.mock.calls[0][0].detail).toEqual({
+        pixCode: "expiring-pix-code",
+        txid: null
+      });
+      expect(
+        element.shadowRoot.querySelector('[data-id="countdown"]')
+      ).toBeNull();
+      expect(
+        element.shadowRoot.querySelector('[data-id="expiredNotice"]')
+      ).not.toBeNull();
+    });
+
+    it("should expire at expiresAt and disable copying", async () => {
+      // Arrange
+      const writeText = jest.fn().mockResolvedValue();
+      Object.defineProperty(navigator, "clipboard", {
+        value: { writeText },
+        configurable: true
+      });
+      const element = createExpiringElement({
+        expiresAt: "2026-01-01T12:00:10Z"
+      });
+      await flushPromises();
+
+      // Act
+      jest.advanceTimersByTime(10000);
+      await flushPromises();
+      element.copyPixCode();
+
+      // Assert
+      expect(writeText).not.toHaveBeenCalled();
+      const buttons = element.shadowRoot.querySelectorAll("button");
+      expect(buttons.length).toBeGreaterThan(0);
+      buttons.forEach((button) => expect(button.disabled).toBe(true));
+    });
+
+    it("should restart the countdown when the code is regenerated", async () => {
+      // Arrange
+      const element = createExpiringElement({ expiresInSeconds: 30 });
+      element.addEventListener("expired", () => {
+        element.generatePixCodeFromPaymentData(paymentData);
+      });
+      await flushPromises();
+
+      // Act
+      jest.advanceTimersByTime(30000);
+      await flushPromises();
+
+      // Assert
+      expect(element.isExpired).toBe(false);
+      expect(
+        element.shadowRoot.querySelector('[data-id="countdown"]').textContent
+      ).toContain("Expires in 0:30");
+    });
+  });
+
+  describe("events", () => {
+    const paymentData = {
+      key: "23484225000166",
+      merchantName: "WISEFOX",
+      merchantCity: "BELO HORIZONTE",
+      amount: "10.00",
+      transactionId: "ref1234"
+    };
+
+    beforeEach(() => {
+      PixCodec.createPayment.mockReturnValue({ value: [] });
+      PixCodec.encode.mockReturnValue("event-pix-code");
+      PixCodec.parse.mockReturnValue({ txid: "ref1234", amount: 10 });
+    });
+
+    it("should dispatch pixgenerated with the payload and parsed fields", () => {
+      // Arrange
+      const handler = jest.fn();
+      const element = createElement("c-qr-code-display", {
+        is: QrCodeDisplay
+      });
+      element.addEventListener("pixgenerated", handler);
+      document.body.appendChild(element);
+
+      // Act
+      element.generatePixCodeFromPaymentData(paymentData);
+
+      // Assert
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(handler.mock.calls[0][0].detail).toEqual({
+        pixCode: "event-pix-code",
+        paymentData,
+        payment: { txid: "ref1234", amount: 10 }
+      });
+    });
+
+    it("should generate once when paymentData is set before the element is attached", () => {
+      // Arrange
+      const generatedHandler = jest.fn();
+      const flowHandler = jest.fn();
+      const element = createElement("c-qr-code-display", {
+        is: QrCodeDisplay
+      });
+      element.paymentData = paymentData;
+      element.addEventListener("pixgenerated", generatedHandler);
+      element.addEventListener("flowattributechange", flowHandler);
+
+      // Act
+      document.body.appendChild(element);
+
+      // Assert
+      expect(PixCodec.createPayment).toHaveBeenCalledTimes(1);
+      expect(generatedHandler).toHaveBeenCalledTimes(1);
+      expect(flowHandler.mock.calls.map(([event]) => event.detail)).toEqual([
+        { attributeName: "pixCode", attributeValue: "event-pix-code" },
+        { attributeName: "isPixCodeValid", attributeValue: true }
+      ]);
+    });
+
+    it("should dispatch qrrendered once the QR code is in the DOM", async () => {
+      // Arrange
+      const handler = jest.fn();
+      const element = createElement("c-qr-code-display", {
+        is: QrCodeDisplay
+      });
+      element.showQRCode = true;
+      element.pixCode = "event-pix-code";
+      element.addEventListener("qrrendered", handler);
+
+      // Act
+      document.body.appendChild(element);
+      await flushPromises();
+
+      // Assert
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(handler.mock.calls[0][0].detail).toEqual({
+        pixCode: "event-pix-code",
+        size: 200
+      });
+    });
+
+    it("should dispatch copied after a successful copy", async () => {
+      // Arrange
+      Object.defineProperty(navigator, "clipboard", {
+        value: { writeText: jest.fn().mockResolvedValue() },
+        configurable: true
+      });
+      const handler = jest.fn();
+      const element = createElement("c-qr-code-display", {
+        is: QrCodeDisplay
+      });
+      element.pixCode = "event-pix-code";
+      element.addEventListener("copied", handler);
+      document.body.appendChild(element);
+
+      // Act
+      element.copyPixCode();
+      await flushPromises();
+
+      // Assert
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(handler.mock.calls[0][0].detail).toEqual({
+        pixCode: "event-pix-code"
+      });
+    });
+
+    it.each([
+      [
+        "COPY_FAILED",
+        (element) => {
+          Object.defineProperty(navigator, "clipboard", {
+            value: {
+              writeText: jest.fn().mockRejectedValue(new Error("Denied"))
+            },
+            configurable: true
+          });
+          element.pixCode = "event-pix-code";
+          element.copyPixCode();
+        }
+      ],
+      ["NO_PIX_CODE", (element) => element.copyPixCode()],
+      [
+        "GENERATION_FAILED",
+        (element) => {
+          PixCodec.createPayment.mockImplementation(() => {
+            throw new Error("Invalid PIX key");
+          });
+          element.generatePixCodeFromPaymentData(paymentData);
+        }
+      ]
+    ])("should dispatch error with code %s", async (code, act) => {
+      // Arrange
+      const handler = jest.fn();
+      const element = createElement("c-qr-code-display", {
+        is: QrCodeDisplay
+      });
+      element.addEventListener("error", handler);
+      document.body.appendChild(element);
+      await flushPromises();
+
+      // Act
+      act(element);
+      await flushPromises();
+
+      // Assert
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(handler.mock.calls[0][0].detail).toEqual({
+        code,
+        message: expect.any(String)
+      });
+    });
+
+    it("should dispatch error when the QR code cannot be rendered", async () => {
+      // Arrange
+      const handler = jest.fn();
+      const element = createElement("c-qr-code-display", {
+        is: QrCodeDisplay
+      });
+      element.showQRCode = true;
+      element.pixCode = "0".repeat(3000);
+      element.addEventListener("error", handler);
+
+      // Act
+      document.body.appendChild(element);
+      await flushPromises();
+
+      // Assert
+      expect(handler.mock.calls[0][0].detail).toEqual({
+        code: "QR_RENDER_FAILED",
+        message: expect.stringContaining(
+          "Failed to generate QR code: Text too long: 3000 bytes"
+        )
+      });
+    });
+  });
+
+  describe("Flow screen", () => {
+    beforeEach(() => {
+      PixCodec.createPayment.mockReturnValue({ value: [] });
+      PixCodec.encode.mockReturnValue("flow-pix-code");
+    });
+
+    it("should generate the PIX code from the Flow input properties", () => {
+      // Arrange
+      const handler = jest.fn();
+      const element = createElement("c-qr-code-display", {
+        is: QrCodeDisplay
+      });
+      Object.assign(element, {
+        pixKey: "23484225000166",
+        merchantName: "WISEFOX",
+        merchantCity: "BELO HORIZONTE",
+        amount: "10.00",
+        transactionId: "ref1234"
+      });
+      element.addEventListener("flowattributechange", handler);
+
+      // Act
+      document.body.appendChild(element);
+
+      // Assert
+      expect(PixCodec.createPayment).toHaveBeenCalledWith({
+        key: "23484225000166",
+        merchantName: "WISEFOX",
+        merchantCity: "BELO HORIZONTE",
+        amount: "10.00",
+        transactionId: "ref1234"
+      });
+      expect(element.pixCode).toBe("flow-pix-code");
+      expect(element.isPixCodeValid).toBe(true);
+      expect(handler.mock.calls.map(([event]) => event.detail)).toEqual([
+        { attributeName: "pixCode", attributeValue: "flow-pix-code" },
+        { attributeName: "isPixCodeValid", attributeValue: true }
+      ]);
+    });
+
+    it("should report invalid PIX codes", () => {
+      // Arrange
+      PixCodec.validate.mockReturnValue({ isValid: false, issues: [] });
+      const element = createElement("c-qr-code-display", {
+        is: QrCodeDisplay
+      });
+      element.pixCode = "invalid-pix-code";
+
+      // Act
+      document.body.appendChild(element);
+
+      // Assert
+      expect(element.isPixCodeValid).toBe(false);
+    });
+
+    it("should allow navigation when nothing is required", () => {
+      // Arrange
+      const element = createElement("c-qr-code-display", {
+        is: QrCodeDisplay
+      });
+      element.pixCode = "flow-pix-code";
+      document.body.appendChild(element);
+
+      // Act & Assert
+      expect(element.validate()).toEqual({ isValid: true });
+    });
+
+    it("should block navigation until the code is copied", async () => {
+      // Arrange
+      Object.defineProperty(navigator, "clipboard", {
+        value: { writeText: jest.fn().mockResolvedValue() },
+        configurable: true
+      });
+      const element = createElement("c-qr-code-display", {
+        is: QrCodeDisplay
+      });
+      element.pixCode = "flow-pix-code";
+      element.requireCopy = true;
+      document.body.appendChild(element);
+      await flushPromises();
+
+      // Assert
+      expect(element.validate()).toEqual({
+        isValid: false,
+        errorMessage: "Please copy the PIX code before continuing."
+      });
+
+      // Act
+      element.copyPixCode();
+      await flushPromises();
+
+      // Assert
+      expect(element.validate()).toEqual({ isValid: true });
+    });
+
+    it("should block navigation until the payment is confirmed", async () => {
+      // Arrange
+      jest.useFakeTimers();
+      const element = createElement("c-qr-code-display", {
+        is: QrCodeDisplay
+      });
+      Object.assign(element, {
+        requirePayment: true,
+        pollInterval: 1000,
+        paymentStatusProvider: jest.fn().mockResolvedValue("PAID")
+      });
+      element.paymentData = {
+        key: "23484225000166",
+        merchantName: "WISEFOX",
+        merchantCity: "BELO HORIZONTE",
+        transactionId: "ref1234"
+      };
+      document.body.appendChild(element);
+      await flushPromises();
+
+      // Assert
+      expect(element.validate().isValid).toBe(false);
+
+      // Act
+      jest.advanceTimersByTime(1000);
+      await flushPromises();
+
+      // Assert
+      expect(element.validate()).toEqual({ isValid: true });
+      jest.useRealTimers();
+    });
+  });
+
+  describe("App Builder properties", () => {
+    beforeEach(() => {
+      PixCodec.createPayment.mockReturnValue({ value: [] });
+      PixCodec.encode.mockReturnValue("generated-pix-code");
+    });
+
+    it("should build the payment data from the page properties", () => {
+      // Arrange
+      const element = createElement("c-qr-code-display", {
+        is: QrCodeDisplay
+      });
+      Object.assign(element, {
+        pixKey: " 23484225000166 ",
+        merchantName: "WISEFOX",
+        merchantCity: "BELO HORIZONTE",
+        amount: "",
+        transactionId: "001xx000003DGb2AAG"
+      });
+
+      // Act
+      document.body.appendChild(element);
+
+      // Assert
+      expect(PixCodec.createPayment).toHaveBeenCalledWith({
+        key: "23484225000166",
+        merchantName: "WISEFOX",
+        merchantCity: "BELO HORIZONTE",
+        amount: undefined,
+        transactionId: "001xx000003DGb2AAG"
+      });
+      expect(element.paymentData.transactionId).toBe("001xx000003DGb2AAG");
+      expect(element.pixCode).toBe("generated-pix-code");
+    });
+
+    it("should keep a PIX code that was provided directly", () => {
+      // Arrange
+      const element = createElement("c-qr-code-display", {
+        is: QrCodeDisplay
+      });
+      Object.assign(element, {
+        pixCode: "provided-pix-code",
+        pixKey: "23484225000166",
+        merchantName: "WISEFOX",
+        merchantCity: "BELO HORIZONTE"
+      });
+
+      // Act
+      document.body.appendChild(element);
+
+      // Assert
+      expect(PixCodec.createPayment).not.toHaveBeenCalled();
+      expect(element.pixCode).toBe("provided-pix-code");
+    });
+  });
+
+  describe("download and print", () => {
+    const PIX_CODE = "download-pix-code";
+    let clickSpy;
+
+    const createDisplay = async (properties = {}) => {
+      const element = createElement("c-qr-code-display", {
+        is: QrCodeDisplay
+      });
+      Object.assign(element, { pixCode: PIX_CODE, ...properties });
+      document.body.appendChild(element);
+      await flushPromises();
+      return element;
+    };
+
+    beforeEach(() => {
+      clickSpy = jest
+        .spyOn(HTMLAnchorElement.prototype, "click")
+        .mockImplementation();
+    });
+
+    afterEach(() => {
+      clickSpy.mockRestore();
+    });
+
+    it("should download the QR code as SVG", async () => {
+      // Arrange
+      const handler = jest.fn();
+      const element = await createDisplay();
+      element.addEventListener("downloaded", handler);
+
+      // Act
+      const dataUrl = await element.downloadQRCode("svg");
+
+      // Assert
+      expect(dataUrl).toMatch(/^data:image\/svg\+xml;charset=utf-8,/);
+      expect(decodeURIComponent(dataUrl)).toContain(
+        '<svg width="1024" height="1024"'
+      );
+      expect(clickSpy).toHaveBeenCalledTimes(1);
+      const link = clickSpy.mock.instances[0];
+      expect(link.download).toBe("pix-qr-code.svg");
+      expect(handler.mock.calls[0][0].detail).toEqual({
+        pixCode: PIX_CODE,
+        format: "svg",
+        fileName: "pix-qr-code.svg"
+      });
+    });
+
+    it("should rasterize the QR code as PNG at the configured resolution", async () => {
+      // Arrange
+      const context = {
+        fillRect: jest.fn(),
+        drawImage: jest.fn()
+      };
+      const getContextSpy = jest
+        .spyOn(HTMLCanvasElement.prototype, "getContext")
+        .mockReturnValue(context);
+      const toDataURLSpy = jest
+        .spyOn(HTMLCanvasElement.prototype, "toDataURL")
+        .mockReturnValue("data:image/png;base64,iVBORw0KGgo=");
+      const OriginalImage = window.Image;
+      let image;
+      window.Image = class {
+        set src(value) {
+          image = this;
+          this.source = value;
+          Promise.resolve().then(() => this.onload());
+        }
+      };
+      const element = await createDisplay({ downloadResolution: 2048 });
+
+      // Act
+      const dataUrl = await element.downloadQRCode("png");
+
+      // Assert
+      expect(dataUrl).toBe("data:image/png;base64,iVBORw0KGgo=");
+      expect(decodeURIComponent(image.source)).toContain(
+        '<svg width="2048" height="2048"'
+      );
+      expect(context.drawImage).toHaveBeenCalledWith(image, 0, 0, 2048, 2048);
+      expect(toDataURLSpy).toHaveBeenCalledWith("image/png");
+      expect(clickSpy.mock.instances[0].download).toBe("pix-qr-code.png");
+
+      window.Image = OriginalImage;
+      getContextSpy.mockRestore();
+      toDataURLSpy.mockRestore();
+    });
+
+    it("should report unsupported formats", async () => {
+      // Arrange
+      const handler = jest.fn();
+      const element = await createDisplay();
+      element.addEventListener("error", handler);
+
+      // Act
+      const dataUrl = await element.downloadQRCode("gif");
+
+      // Assert
+      expect(dataUrl).toBeUndefined();
+      expect(clickSpy).not.toHaveBeenCalled();
+      expect(handler.mock.calls[0][0].detail).toEqual({
+        code: "DOWNLOAD_FAILED",
+        message: 'Failed to download QR code: Unsupported format "gif"'
+      });
+    });
+
+    it("should not download without a PIX code", async () => {
+      // Arrange
+      const handler = jest.fn();
+      const element = await createDisplay({ pixCode: "" });
+      element.addEventListener("error", handler);
+
+      // Act
+      await element.downloadQRCode("svg");
+
+      // Assert
+      expect(clickSpy).not.toHaveBeenCalled();
+      expect(handler.mock.calls[0][0].detail.code).toBe("NO_PIX_CODE");
+    });
+
+    it("should offer the download and print buttons", async () => {
+      // Arrange
+      const printSpy = jest.spyOn(window, "print").mockImplementation();
+      const element = await createDisplay({
+        showQRCode: true,
+        showDownload: true
+      });
+      await flushPromises();
+
+      // Act
+      element.shadowRoot
+        .querySelector('[data-id="downloadMenu"]')
+        .dispatchEvent(new CustomEvent("select", { detail: { value: "svg" } }));
+      element.shadowRoot.querySelector('[data-id="printButton"]').click();
+      await flushPromises();
+
+      // Assert
+      const options = element.shadowRoot.querySelectorAll(
+        "lightning-menu-item"
+      );
+      expect(Array.from(options).map((option) => option.value)).toEqual([
+        "png",
+        "svg"
+      ]);
+      expect(clickSpy.mock.instances[0].download).toBe("pix-qr-code.svg");
+      expect(printSpy).toHaveBeenCalled();
+      printSpy.mockRestore();
+    });
+
+    it("should display the amount in reais", async () => {
+      // Arrange
+      PixCodec.parse.mockReturnValue({ amount: 1234.5 });
+
+      // Act
+      const element = await createDisplay();
+
+      // Assert
+      expect(
+        element.shadowRoot.querySelector('[data-id="amount"]').textContent
+      ).toBe("R$\u00a01.234,50");
+    });
+
+    it("should not display an amount when the code has none", async () => {
+      // Arrange
+      PixCodec.parse.mockReturnValue({ amount: null });
+
+      // Act
+      const element = await createDisplay();
+
+      // Assert
+      expect(element.shadowRoot.querySelector('[data-id="amount"]')).toBeNull();
+    });
+
+    it("should include the merchant name, amount and PIX code in the print layout", async () => {
+      // Arrange
+      PixCodec.parse.mockReturnValue({
+        merchantName: "WISEFOX",
+        amount: 123.45
+      });
+
+      // Act
+      const element = await createDisplay();
+
+      // Assert
+      const details = element.shadowRoot.querySelector(
+        '[data-id="printDetails"]'
+      ).textContent;
+      expect(details).toContain("WISEFOX");
+      expect(details).toContain("123,45");
+      expect(details).toContain(PIX_CODE);
+    });
+  });
+
+  describe("rendering options", () => {
+    const svgFor = (modules) =>
+      `<svg viewBox="0 0 ${modules} ${modules}" xmlns="http://www.w3.org/2000/svg"><path d="M2 2h1v1H2Z"/></svg>`;
+
+    const renderDisplay = async (properties = {}, modules = 25) => {
+      jest.spyOn(QrEncoder, "toSvg").mockReturnValue(svgFor(modules));
+      const element = createElement("c-qr-code-display", {
+        is: QrCodeDisplay
+      });
+      Object.assign(element, {
+        pixCode: "rendering-pix-code",
+        showQRCode: true,
+        ...properties
+      });
+      document.body.appendChild(element);
+      await flushPromises();
+      return element;
+    };
+
+    afterEach(() => {
+      QrEncoder.toSvg.mockRestore();
+    });
+
+    const renderedSvg = (element) =>
+      new XMLSerializer().serializeToString(
+        element.shadowRoot.querySelector('[data-id="qrCode"] svg')
+      );
+
+    it("should use medium error correction and a 2-module quiet zone by default", async () => {
+      // Act
+      const element = await renderDisplay();
+
+      // Assert
+      expect(QrEncoder.toSvg).toHaveBeenCalledWith("rendering-pix-code", {
+        border: 2,
+        ecc: "medium"
+      });
+      const svg = renderedSvg(element);
+      expect(svg).toContain('width="200" height="200"');
+      expect(svg).toContain('<rect width="100%" height="100%" fill="#ffffff"');
+      expect(svg).toContain('<path fill="#000000"');
+      expect(svg).not.toContain("<image");
+    });
+
+    it.each([25, 57, 177])(
+      "should scale a %i-module QR code to exactly qrCodeSize pixels",
+      async (modules) => {
+        // Act
+        const element = await renderDisplay({ qrCodeSize: 300 }, modules);
+
+        // Assert
+        const svg = renderedSvg(element);
+        expect(svg).toContain('<svg width="300" height="300"');
+        expect(svg).toContain(`viewBox="0 0 ${modules} ${modules}"`);
+      }
+    );
+
+    it("should apply the error correction, quiet zone and colors", async () => {
+      // Act
+      const element = await renderDisplay({
+        eccLevel: "quartile",
+        quietZone: 4,
+        foregroundColor: "#1b5e20",
+        backgroundColor: "#fffde7"
+      });
+
+      // Assert
+      expect(QrEncoder.toSvg).toHaveBeenCalledWith("rendering-pix-code", {
+        border: 4,
+        ecc: "quartile"
+      });
+      const svg = renderedSvg(element);
+      expect(svg).toContain('fill="#fffde7"');
+      expect(svg).toContain('<path fill="#1b5e20"');
+    });
+
+    it("should fall back to medium error correction for unknown levels", async () => {
+      // Act
+      await renderDisplay({ eccLevel: "extreme" });
+
+      // Assert
+      expect(QrEncoder.toSvg.mock.calls[0][1].ecc).toBe("medium");
+    });
+
+    it("should center the logo and force high error correction", async () => {
+      // Act
+      const element = await renderDisplay({
+        eccLevel: "low",
+        logoUrl: "/resource/logo?v=1&size=2"
+      });
+
+      // Assert
+      expect(QrEncoder.toSvg.mock.calls[0][1].ecc).toBe("high");
+      const image = element.shadowRoot.querySelector(
+        '[data-id="qrCode"] image'
+      );
+      expect(image.getAttribute("href")).toBe("/resource/logo?v=1&size=2");
+      expect(image.getAttribute("x")).toBe("10");
+      expect(image.getAttribute("y")).toBe("10");
+      expect(image.getAttribute("width")).toBe("5");
+      expect(image.getAttribute("height")).toBe("5");
+    });
+
+    it("should escape colors so they cannot inject markup", async () => {
+      // Act
+      const element = await renderDisplay({
+        foregroundColor: '"/><script>alert(1)</script>'
+      });
+
+      // Assert
+      expect(
+        element.shadowRoot.querySelector('[data-id="qrCode"] script')
+      ).toBeNull();
+    });
+
+    it("should redraw the QR code when an option changes", async () => {
+      // Arrange
+      const element = await renderDisplay();
+      QrEncoder.toSvg.mockClear();
+
+      // Act
+      element.foregroundColor = "#0d47a1";
+      await flushPromises();
+
+      // Assert
+      expect(QrEncoder.toSvg).toHaveBeenCalledTimes(1);
+      expect(renderedSvg(element)).toContain('<path fill="#0d47a1"');
+    });
+  });
 });
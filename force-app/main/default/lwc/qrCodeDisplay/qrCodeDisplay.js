@@ -1,8 +1,99 @@
 import { LightningElement, api, track } from "lwc";
-import { loadScript } from "lightning/platformResourceLoader";
 import { ShowToastEvent } from "lightning/platformShowToastEvent";
-import QRCode from "@salesforce/resourceUrl/qr";
-import PixCodec from "./pixCodec";
+import { FlowAttributeChangeEvent } from "lightning/flowSupport";
+import PixCodec, { PixAmount } from "c/pixCodec";
+import QrEncoder from "c/qrEncoder";
+import checkPaymentStatusByName from "@salesforce/apex/PixPaymentStatusDispatcher.checkPaymentStatus";
+
+// Provider statuses (including the BCB API "cob" statuses) mapped to display states
+const PAYMENT_STATUSES = {
+  PAID: "paid",
+  CONCLUIDA: "paid",
+  EXPIRED: "expired",
+  REMOVIDA_PELO_USUARIO_RECEBEDOR: "expired",
+  REMOVIDA_PELO_PSP: "expired"
+};
+
+// Codes of the "error" event
+const ERROR_CODES = {
+  GENERATION_FAILED: "GENERATION_FAILED",
+  QR_RENDER_FAILED: "QR_RENDER_FAILED",
+  COPY_FAILED: "COPY_FAILED",
+  NO_PIX_CODE: "NO_PIX_CODE",
+  PIX_CODE_EXPIRED: "PIX_CODE_EXPIRED",
+  DOWNLOAD_FAILED: "DOWNLOAD_FAILED",
+  INVALID_STATUS_PROVIDER: "INVALID_STATUS_PROVIDER"
+};
+
+// Apex status methods given by name, e.g. "PixPaymentController.checkStatus"
+const APEX_METHOD_NAME = /^\w+(\.\w+)+$/;
+
+// Image formats offered by downloadQRCode
+const DOWNLOAD_FORMATS = ["png", "svg"];
+
+// Error correction levels of the QR code encoder
+const ECC_LEVELS = ["low", "medium", "quartile", "high"];
+
+// Share of the QR code width covered by the logo, well within what high ECC restores
+const LOGO_SIZE_RATIO = 0.2;
+
+/**
+ * Escapes a value for use in an SVG attribute
+ * @param {string} value - Attribute value
+ * @returns {string} - Escaped value
+ */
+function escapeAttribute(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/**
+ * Sizes and colors the SVG produced by the QR code encoder, and adds the logo
+ *
+ * The encoder sizes the viewBox by the module count, so setting the width and
+ * height scales any payload to exactly `size` pixels.
+ * @param {string} svgString - SVG from QrEncoder.toSvg
+ * @param {Object} options - Styling options
+ * @param {number} options.size - Width and height in pixels
+ * @param {string} options.foregroundColor - Color of the dark modules
+ * @param {string} options.backgroundColor - Color of the light modules and quiet zone
+ * @param {string} [options.logoUrl] - Image centered over the QR code
+ * @returns {string} - Styled SVG
+ */
+function styleQRCodeSvg(
+  svgString,
+  { size, foregroundColor, backgroundColor, logoUrl }
+) {
+  const background = escapeAttribute(backgroundColor);
+  let svg = svgString
+    .replace(
+      "<svg ",
+      `<svg width="${size}" height="${size}" shape-rendering="crispEdges" `
+    )
+    .replace(
+      "<path ",
+      `<rect width="100%" height="100%" fill="${background}"/><path fill="${escapeAttribute(foregroundColor)}" `
+    );
+
+  const viewBox = /viewBox="0 0 (\d+)/.exec(svgString);
+  if (logoUrl && viewBox) {
+    const modules = Number(viewBox[1]);
+    const logoSize = modules * LOGO_SIZE_RATIO;
+    const offset = (modules - logoSize) / 2;
+    const area = `x="${offset}" y="${offset}" width="${logoSize}" height="${logoSize}"`;
+
+    svg = svg.replace(
+      "</svg>",
+      `<rect ${area} fill="${background}"/>` +
+        `<image href="${escapeAttribute(logoUrl)}" ${area} preserveAspectRatio="xMidYMid meet"/></svg>`
+    );
+  }
+
+  return svg;
+}
 
 export default class QrCodeDisplay extends LightningElement {
   // Attributes
@@ -10,40 +101,115 @@ export default class QrCodeDisplay extends LightningElement {
   @api showPixCode = false;
   @api qrCodeSize = 200;
   @api pixCode;
+  @api paymentStatusProvider; // async ({ txid }) => status, or an Apex method name
+  @api pollInterval = 5000; // Milliseconds between payment status checks
+  @api pollTimeout = 300; // Seconds to wait for the payment when no expiration is set
+  // Payment fields used when no paymentData is given (e.g. Flow inputs)
+  @api pixKey;
+  @api merchantName;
+  @api merchantCity;
+  @api amount;
+  @api transactionId;
+  @api requireCopy = false; // Block Flow navigation until the code is copied
+  @api requirePayment = false; // Block Flow navigation until the payment is confirmed
+  @api showDownload = false; // Show the download and print buttons
+  @api downloadResolution = 1024; // Width and height of downloaded PNG images, in pixels
+  @api eccLevel = "medium"; // Error correction: "low", "medium", "quartile" or "high"
+  @api quietZone = 2; // Blank border around the QR code, in modules
+  @api foregroundColor = "#000000";
+  @api backgroundColor = "#ffffff";
+  @api logoUrl; // Image centered over the QR code (forces high error correction)
   _paymentData;
   _lastPixCode; // Track the last generated PIX code to know when to regenerate QR
-  value;
+  _lastQRCodeOptions; // Rendering options of the last generated QR code
   @track qrCodeGenerated = false;
   @track _errorMessage = "";
-  @track _isLoading = false;
-  qrCodeLibraryEncode;
   qrCodeContainer;
+  @track paymentStatus; // "pending" or "paid" while polling
+  @track remainingSeconds;
+  @track _isExpired = false;
+  _expiresAt;
+  _expiresInSeconds;
+  _isConnected = false;
+  _hasCopied = false;
+  _trackedPixCode; // PIX code whose expiration and payment are being tracked
+  _pollTimer;
+  _countdownTimer;
+  _deadline;
 
   // Getters and Setters
-  // Watcher for paymentData changes
+  // Watcher for paymentData changes; data set before the component is
+  // connected is generated once, by connectedCallback
   @api
   set paymentData(value) {
     this._paymentData = value;
-    this.generatePixCodeFromPaymentData(this._paymentData);
+
+    if (this._isConnected) {
+      this.generatePixCodeFromPaymentData(this._paymentData);
+    }
   }
 
   get paymentData() {
     return this._paymentData;
   }
 
+  /**
+   * Date, ISO string or timestamp when the PIX code expires
+   */
   @api
-  get errorMessage() {
-    return this._errorMessage;
+  set expiresAt(value) {
+    this._expiresAt = value;
+    this.restartTracking();
+  }
+
+  get expiresAt() {
+    return this._expiresAt;
   }
 
+  /**
+   * Seconds the PIX code stays valid after being displayed
+   */
+  @api
+  set expiresInSeconds(value) {
+    this._expiresInSeconds = value;
+    this.restartTracking();
+  }
+
+  get expiresInSeconds() {
+    return this._expiresInSeconds;
+  }
+
+  /**
+   * Always false: QR codes are drawn without loading any script. Kept for
+   * parents that read it from earlier versions.
+   * @deprecated
+   */
   @api
   get isLoading() {
-    return this._isLoading;
+    return false;
+  }
+
+  /**
+   * Whether the current PIX code passes PixCodec.validate
+   */
+  @api
+  get isPixCodeValid() {
+    return Boolean(this.pixCode) && PixCodec.validate(this.pixCode).isValid;
+  }
+
+  @api
+  get isExpired() {
+    return this._isExpired;
+  }
+
+  @api
+  get errorMessage() {
+    return this._errorMessage;
   }
 
   // Getters for conditional rendering
   get shouldShowQRCode() {
-    return this.showQRCode && this.pixCode && !this._isLoading;
+    return this.showQRCode && this.pixCode;
   }
 
   get shouldShowPixCode() {
@@ -54,24 +220,226 @@ export default class QrCodeDisplay extends LightningElement {
     return this._errorMessage !== "";
   }
 
+  get hasPaymentStatus() {
+    return Boolean(this.paymentStatus);
+  }
+
+  get isPaymentPending() {
+    return this.paymentStatus === "pending";
+  }
+
+  get isPaymentPaid() {
+    return this.paymentStatus === "paid";
+  }
+
+  get hasCountdown() {
+    return this.remainingSeconds > 0 && !this._isExpired && !this.isPaymentPaid;
+  }
+
+  get qrCodeContainerClass() {
+    return (
+      "qr-code-container slds-box slds-box_x-small slds-theme_shade slds-text-align_center" +
+      (this._isExpired ? " qr-code-expired" : "")
+    );
+  }
+
+  get formattedCountdown() {
+    const minutes = Math.floor(this.remainingSeconds / 60);
+    const seconds = this.remainingSeconds % 60;
+    return `${minutes}:${seconds.toString().padStart(2, "0")}`;
+  }
+
+  /**
+   * Error correction level in use; a logo hides modules, so it requires the
+   * highest level
+   */
+  get effectiveEccLevel() {
+    if (this.logoUrl) {
+      return "high";
+    }
+    return ECC_LEVELS.includes(this.eccLevel) ? this.eccLevel : "medium";
+  }
+
+  // Rendering options, so that the QR code is redrawn when any of them changes
+  get qrCodeOptionsKey() {
+    return [
+      this.qrCodeSize,
+      this.effectiveEccLevel,
+      this.quietZone,
+      this.foregroundColor,
+      this.backgroundColor,
+      this.logoUrl
+    ].join("|");
+  }
+
+  get downloadOptions() {
+    return DOWNLOAD_FORMATS.map((format) => ({
+      label: format.toUpperCase(),
+      value: format
+    }));
+  }
+
+  get printMerchantName() {
+    const payment = this.parsePixCode();
+    return payment ? payment.merchantName : null;
+  }
+
+  /**
+   * Amount of the PIX code formatted in reais (e.g. "R$ 1.234,56")
+   */
+  get formattedAmount() {
+    const payment = this.parsePixCode();
+
+    try {
+      return payment && payment.amount
+        ? PixAmount.format(payment.amount)
+        : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Transaction ID used to poll the payment status, from the payment data or
+   * the PIX code itself
+   */
+  get currentTransactionId() {
+    if (this._paymentData && this._paymentData.transactionId) {
+      return this._paymentData.transactionId;
+    }
+
+    const payment = this.parsePixCode();
+    return payment && payment.txid && payment.txid !== "***"
+      ? payment.txid
+      : null;
+  }
+
   // Public Functions (@api)
   @api copyPixCode() {
     if (!this.pixCode) {
       this.showToast("Error", "No PIX code to copy", "error");
+      this.dispatchError(ERROR_CODES.NO_PIX_CODE, "No PIX code to copy");
+      return;
+    }
+
+    if (this._isExpired) {
+      this.showToast("Error", "This PIX code has expired", "error");
+      this.dispatchError(
+        ERROR_CODES.PIX_CODE_EXPIRED,
+        "This PIX code has expired"
+      );
       return;
     }
 
+    const pixCode = this.pixCode;
+
     navigator.clipboard
-      .writeText(this.pixCode)
+      .writeText(pixCode)
       .then(() => {
+        this._hasCopied = true;
         this.showToast("Success", "PIX code copied to clipboard", "success");
+        this.dispatchEvent(new CustomEvent("copied", { detail: { pixCode } }));
       })
       .catch((error) => {
         console.error("Copy failed:", error);
         this.showToast("Error", "Failed to copy PIX code", "error");
+        this.dispatchError(
+          ERROR_CODES.COPY_FAILED,
+          "Failed to copy PIX code: " + error.message
+        );
       });
   }
 
+  /**
+   * Flow screen validation, called when the user clicks Next
+   * @returns {Object} - Object with isValid boolean and errorMessage
+   */
+  @api
+  validate() {
+    if (this.requirePayment && !this.isPaymentPaid) {
+      return {
+        isValid: false,
+        errorMessage: "Please wait for the payment to be confirmed."
+      };
+    }
+
+    // A confirmed payment implies the code reached the payer
+    if (this.requireCopy && !this._hasCopied && !this.isPaymentPaid) {
+      return {
+        isValid: false,
+        errorMessage: "Please copy the PIX code before continuing."
+      };
+    }
+
+    return { isValid: true };
+  }
+
+  /**
+   * Downloads the QR code as an image file
+   * @param {string} [format] - "png" (rasterized at downloadResolution) or "svg"
+   * @returns {Promise<string|undefined>} - Data URL of the downloaded image
+   */
+  @api
+  async downloadQRCode(format = "png") {
+    const imageFormat = String(format).toLowerCase();
+
+    if (!this.pixCode) {
+      this.dispatchError(ERROR_CODES.NO_PIX_CODE, "No PIX code to download");
+      return undefined;
+    }
+
+    if (this._isExpired) {
+      this.dispatchError(
+        ERROR_CODES.PIX_CODE_EXPIRED,
+        "This PIX code has expired"
+      );
+      return undefined;
+    }
+
+    try {
+      if (!DOWNLOAD_FORMATS.includes(imageFormat)) {
+        throw new Error(`Unsupported format "${format}"`);
+      }
+
+      const size = Number(this.downloadResolution);
+      const svgString = this.buildQRCodeSvg(size);
+      const dataUrl =
+        imageFormat === "svg"
+          ? "data:image/svg+xml;charset=utf-8," + encodeURIComponent(svgString)
+          : await this.rasterizeQRCode(svgString, size);
+      const fileName = `pix-qr-code.${imageFormat}`;
+
+      const link = document.createElement("a");
+      link.href = dataUrl;
+      link.download = fileName;
+      link.click();
+
+      this.dispatchEvent(
+        new CustomEvent("downloaded", {
+          detail: { pixCode: this.pixCode, format: imageFormat, fileName }
+        })
+      );
+      return dataUrl;
+    } catch (error) {
+      console.error("QR Code download error:", error);
+      this.showToast("Error", "Failed to download QR code", "error");
+      this.dispatchError(
+        ERROR_CODES.DOWNLOAD_FAILED,
+        "Failed to download QR code: " + error.message
+      );
+      return undefined;
+    }
+  }
+
+  /**
+   * Opens the browser print dialog; the print layout shows the QR code with
+   * the merchant name, amount and PIX code under it
+   */
+  @api
+  printQRCode() {
+    window.print();
+  }
+
   // Private Functions
   /**
    * Generates PIX code from payment data if provided
@@ -91,7 +459,11 @@ export default class QrCodeDisplay extends LightningElement {
           merchantName: paymentData.merchantName,
           merchantCity: paymentData.merchantCity,
           amount: paymentData.amount,
-          transactionId: paymentData.transactionId
+          transactionId: paymentData.transactionId,
+          description: paymentData.description,
+          mcc: paymentData.mcc,
+          postalCode: paymentData.postalCode,
+          alternateLanguage: paymentData.alternateLanguage
         });
 
         // Encode to PIX string
@@ -100,56 +472,43 @@ export default class QrCodeDisplay extends LightningElement {
 
         // Reset QR code generation flag so it regenerates
         this.qrCodeGenerated = false;
+
+        // A regenerated code gets a fresh expiration, even if unchanged
+        this.restartTracking();
+
+        // Flow output variables
+        this.dispatchEvent(
+          new FlowAttributeChangeEvent("pixCode", this.pixCode)
+        );
+        this.dispatchEvent(
+          new FlowAttributeChangeEvent("isPixCodeValid", this.isPixCodeValid)
+        );
+
+        this.dispatchEvent(
+          new CustomEvent("pixgenerated", {
+            detail: {
+              pixCode: this.pixCode,
+              paymentData,
+              payment: this.parsePixCode()
+            }
+          })
+        );
       } catch (error) {
         this._errorMessage = "Failed to generate PIX code: " + error.message;
         console.error("PIX code generation error:", error);
+        this.dispatchError(ERROR_CODES.GENERATION_FAILED, this._errorMessage);
       }
     }
   }
 
-  async loadQRCodeLibrary() {
-    try {
-      this._isLoading = true;
-      await loadScript(this, QRCode);
-      // QR code library loaded successfully
-      this.qrCodeLibraryEncode = window.encodeQR;
-      if (!this.qrCodeLibraryEncode) {
-        throw new Error(
-          "QR Code library not found in global scope after loading. Please ensure the QR library is properly loaded."
-        );
-      }
-      this._errorMessage = "";
-
-      this.value = this.pixCode;
-    } catch (error) {
-      this._errorMessage = "Failed to load QR code library: " + error.message;
-      console.error("QR Code library loading error:", error);
-    } finally {
-      this._isLoading = false;
-    }
-  }
-
   generateQRCode() {
-    if (!this.qrCodeLibraryEncode || !this.pixCode) {
-      console.warn("QR Code library not loaded or PIX code is empty");
+    if (!this.pixCode) {
+      console.warn("PIX code is empty");
       return;
     }
 
     try {
-      let svgString;
-
-      // Try calling as an object method (for other QR libraries)
-      if (this.qrCodeLibraryEncode) {
-        svgString = this.qrCodeLibraryEncode(this.pixCode, "svg", {
-          scale: Math.floor(this.qrCodeSize / 25),
-          border: 2,
-          ecc: "medium"
-        });
-      } else {
-        throw new Error(
-          "QR library does not have expected encodeQR method or is not callable"
-        );
-      }
+      const svgString = this.buildQRCodeSvg(Number(this.qrCodeSize));
 
       // Try to find and update the container if it exists
       this.qrCodeContainer = this.template.querySelector(".qr-code-container");
@@ -171,11 +530,265 @@ export default class QrCodeDisplay extends LightningElement {
 
       this.qrCodeGenerated = true;
       this._lastPixCode = this.pixCode; // Track the last generated PIX code
+      this._lastQRCodeOptions = this.qrCodeOptionsKey;
       this._errorMessage = "";
+
+      this.dispatchEvent(
+        new CustomEvent("qrrendered", {
+          detail: { pixCode: this.pixCode, size: this.qrCodeSize }
+        })
+      );
     } catch (error) {
       this._errorMessage = "Failed to generate QR code: " + error.message;
       console.error("QR Code generation error:", error);
+      this.dispatchError(ERROR_CODES.QR_RENDER_FAILED, this._errorMessage);
+    }
+  }
+
+  /**
+   * Encodes the PIX code as a QR code SVG with the rendering options applied
+   * @param {number} size - Width and height in pixels
+   * @returns {string} - QR code SVG
+   */
+  buildQRCodeSvg(size) {
+    const svgString = QrEncoder.toSvg(this.pixCode, {
+      border: Number(this.quietZone),
+      ecc: this.effectiveEccLevel
+    });
+
+    return styleQRCodeSvg(svgString, {
+      size,
+      foregroundColor: this.foregroundColor,
+      backgroundColor: this.backgroundColor,
+      logoUrl: this.logoUrl
+    });
+  }
+
+  /**
+   * Draws the QR code SVG on a canvas and exports it as PNG
+   * @param {string} svgString - QR code SVG, sized to the image
+   * @param {number} size - Width and height of the image, in pixels
+   * @returns {Promise<string>} - PNG data URL
+   */
+  rasterizeQRCode(svgString, size) {
+    return new Promise((resolve, reject) => {
+      const image = new Image();
+
+      image.onload = () => {
+        const canvas = document.createElement("canvas");
+        canvas.width = size;
+        canvas.height = size;
+
+        const context = canvas.getContext("2d");
+        context.imageSmoothingEnabled = false;
+        context.drawImage(image, 0, 0, size, size);
+        resolve(canvas.toDataURL("image/png"));
+      };
+      image.onerror = () => reject(new Error("Failed to rasterize QR code"));
+      image.src =
+        "data:image/svg+xml;charset=utf-8," + encodeURIComponent(svgString);
+    });
+  }
+
+  handleDownloadSelect(event) {
+    this.downloadQRCode(event.detail.value);
+  }
+
+  /**
+   * Restarts the expiration countdown and the payment polling for the
+   * current PIX code
+   */
+  restartTracking() {
+    if (!this._isConnected) {
+      return;
+    }
+
+    this._trackedPixCode = this.pixCode;
+    this._hasCopied = false;
+    this.startPaymentPolling();
+    this.startExpirationCountdown();
+  }
+
+  /**
+   * Computes when the current PIX code expires: the explicit expiration if
+   * set, otherwise the polling timeout while waiting for the payment
+   * @returns {number|null} - Timestamp, or null when the code never expires
+   */
+  computeDeadline() {
+    if (this._expiresAt) {
+      const deadline = new Date(this._expiresAt).getTime();
+      return isNaN(deadline) ? null : deadline;
+    }
+
+    if (this._expiresInSeconds) {
+      return Date.now() + this._expiresInSeconds * 1000;
+    }
+
+    if (this.isPaymentPending) {
+      return Date.now() + this.pollTimeout * 1000;
+    }
+
+    return null;
+  }
+
+  startExpirationCountdown() {
+    clearInterval(this._countdownTimer);
+    this._countdownTimer = undefined;
+    this._isExpired = false;
+    this._deadline = this.pixCode ? this.computeDeadline() : null;
+    this.remainingSeconds = undefined;
+
+    if (!this._deadline) {
+      return;
+    }
+
+    this.updateCountdown();
+
+    if (!this._isExpired) {
+      // eslint-disable-next-line @lwc/lwc/no-async-operation
+      this._countdownTimer = setInterval(() => this.updateCountdown(), 1000);
+    }
+  }
+
+  updateCountdown() {
+    this.remainingSeconds = Math.max(
+      0,
+      Math.ceil((this._deadline - Date.now()) / 1000)
+    );
+
+    if (this.remainingSeconds === 0) {
+      this.expire();
+    }
+  }
+
+  /**
+   * Marks the current PIX code as expired and lets the parent know, so it can
+   * regenerate a fresh one
+   */
+  expire() {
+    clearInterval(this._countdownTimer);
+    this._countdownTimer = undefined;
+    this.stopPaymentPolling();
+    this.paymentStatus = undefined;
+    this._isExpired = true;
+
+    this.dispatchEvent(
+      new CustomEvent("expired", {
+        detail: { pixCode: this.pixCode, txid: this.currentTransactionId }
+      })
+    );
+  }
+
+  /**
+   * Starts polling the payment status of the current PIX code, if a status
+   * provider was given and the code carries a transaction ID
+   *
+   * The provider is a function (e.g. an imperative Apex method) or the name
+   * of an Apex method as "ClassName.methodName", called through
+   * PixPaymentStatusDispatcher; anything else fires an error instead.
+   */
+  startPaymentPolling() {
+    this.stopPaymentPolling();
+    this.paymentStatus = undefined;
+
+    const txid = this.currentTransactionId;
+    if (!this.paymentStatusProvider || !this.pixCode || !txid) {
+      return;
+    }
+
+    const provider = this.paymentStatusProvider;
+    if (
+      typeof provider !== "function" &&
+      !(typeof provider === "string" && APEX_METHOD_NAME.test(provider))
+    ) {
+      this.dispatchError(
+        ERROR_CODES.INVALID_STATUS_PROVIDER,
+        'paymentStatusProvider must be a function or an Apex method name such as "ClassName.methodName"'
+      );
+      return;
+    }
+
+    this.paymentStatus = "pending";
+    this.schedulePaymentCheck(txid);
+  }
+
+  stopPaymentPolling() {
+    clearTimeout(this._pollTimer);
+    this._pollTimer = undefined;
+  }
+
+  schedulePaymentCheck(txid) {
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    this._pollTimer = setTimeout(
+      () => this.checkPaymentStatus(txid),
+      this.pollInterval
+    );
+  }
+
+  async checkPaymentStatus(txid) {
+    let result;
+
+    try {
+      result =
+        typeof this.paymentStatusProvider === "function"
+          ? await this.paymentStatusProvider({ txid })
+          : await checkPaymentStatusByName({
+              methodName: this.paymentStatusProvider,
+              txid
+            });
+    } catch (error) {
+      console.error("Payment status check error:", error);
+    }
+
+    // Polling may have stopped or moved to another code in the meantime
+    if (!this.isPaymentPending || txid !== this.currentTransactionId) {
+      return;
     }
+
+    const status =
+      result && typeof result === "object" ? result.status : result;
+    const state = PAYMENT_STATUSES[String(status).toUpperCase()];
+
+    if (state === "paid") {
+      this.paymentStatus = "paid";
+      this.stopPaymentPolling();
+      clearInterval(this._countdownTimer);
+      this._countdownTimer = undefined;
+      this.dispatchEvent(
+        new CustomEvent("paymentconfirmed", {
+          detail: { txid, pixCode: this.pixCode, status: result }
+        })
+      );
+    } else if (state === "expired") {
+      this.expire();
+    } else {
+      this.schedulePaymentCheck(txid);
+    }
+  }
+
+  /**
+   * Parses the current PIX code into a payment object
+   * @returns {Object|null} - Result of PixCodec.parse, or null if it cannot be parsed
+   */
+  parsePixCode() {
+    try {
+      return PixCodec.parse(this.pixCode) || null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Dispatches the "error" event
+   * @param {string} code - One of ERROR_CODES
+   * @param {string} message - Human-readable message
+   */
+  dispatchError(code, message) {
+    this.dispatchEvent(
+      new CustomEvent("error", {
+        detail: { code, message }
+      })
+    );
   }
 
   showToast(title, message, variant) {
@@ -187,18 +800,57 @@ export default class QrCodeDisplay extends LightningElement {
     this.dispatchEvent(event);
   }
 
+  /**
+   * Assembles payment data from the individual payment properties, as set in
+   * the App Builder (values may come from merge expressions such as
+   * {!recordId}) or mapped from Flow variables. Blank values are left out.
+   */
+  buildPaymentDataFromProperties() {
+    const clean = (value) => {
+      const text = value === undefined || value === null ? "" : String(value);
+      return text.trim() || undefined;
+    };
+
+    return {
+      key: clean(this.pixKey),
+      merchantName: clean(this.merchantName),
+      merchantCity: clean(this.merchantCity),
+      amount: clean(this.amount),
+      transactionId: clean(this.transactionId)
+    };
+  }
+
   // LWC-specific Functions
   connectedCallback() {
-    this.loadQRCodeLibrary();
+    this._isConnected = true;
+
+    if (!this._paymentData && !this.pixCode && this.pixKey) {
+      this._paymentData = this.buildPaymentDataFromProperties();
+    }
+
     this.generatePixCodeFromPaymentData(this._paymentData);
   }
 
+  disconnectedCallback() {
+    this._isConnected = false;
+    this._trackedPixCode = undefined;
+    this.stopPaymentPolling();
+    clearInterval(this._countdownTimer);
+    this._countdownTimer = undefined;
+  }
+
   renderedCallback() {
+    // PIX codes set directly by the parent
+    if (this._trackedPixCode !== this.pixCode) {
+      this.restartTracking();
+    }
+
     if (
-      this.qrCodeLibraryEncode &&
       this.pixCode &&
       this.showQRCode &&
-      (this._lastPixCode !== this.pixCode || !this.qrCodeGenerated)
+      (this._lastPixCode !== this.pixCode ||
+        this._lastQRCodeOptions !== this.qrCodeOptionsKey ||
+        !this.qrCodeGenerated)
     ) {
       this.generateQRCode();
     }
@@ -0,0 +1,243 @@
+import { QrDecoder } from "c/qrDecoder";
+import qrLibrary from "../../../../../test/jest-helpers/qrLibrary";
+
+// Mock the loadScript function
+jest.mock("lightning/platformResourceLoader", () => ({
+  loadScript: jest.fn()
+}));
+
+import { loadScript } from "lightning/platformResourceLoader";
+
+const PIX_CODE =
+  "00020126360014BR.GOV.BCB.PIX0114234842250001665204000053039865406123.455802BR5907WISEFOX6014BELO HORIZONTE62450507ref123450300017BR.GOV.BCB.BRCODE01051.0.063040D3F";
+
+/**
+ * Renders a QR code as RGBA pixels, black modules on a white background
+ * @param {string} text - Text to encode
+ * @param {number} [scale] - Pixels per module
+ * @returns {Object} - ImageData-like object
+ */
+const renderQRCode = (text, scale = 4) => {
+  const modules = qrLibrary.encodeQR(text, "raw");
+  const quietZone = 4;
+  const size = (modules.length + 2 * quietZone) * scale;
+  const data = new Uint8ClampedArray(size * size * 4).fill(255);
+
+  modules.forEach((row, y) =>
+    row.forEach((isDark, x) => {
+      if (!isDark) {
+        return;
+      }
+      for (let dy = 0; dy < scale; dy++) {
+        for (let dx = 0; dx < scale; dx++) {
+          const offset =
+            (((y + quietZone) * scale + dy) * size +
+              (x + quietZone) * scale +
+              dx) *
+            4;
+          data.fill(0, offset, offset + 3);
+        }
+      }
+    })
+  );
+
+  return { data, width: size, height: size };
+};
+
+const blankImage = (size = 64) => ({
+  data: new Uint8ClampedArray(size * size * 4).fill(255),
+  width: size,
+  height: size
+});
+
+describe("QrDecoder", () => {
+  let getContextSpy;
+  let context;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    window.qr = qrLibrary;
+
+    // jsdom has no canvas: the drawn image is served as the canvas pixels
+    context = {
+      drawImage: jest.fn(),
+      getImageData: jest.fn()
+    };
+    getContextSpy = jest
+      .spyOn(HTMLCanvasElement.prototype, "getContext")
+      .mockReturnValue(context);
+  });
+
+  afterEach(() => {
+    getContextSpy.mockRestore();
+    delete window.qr;
+    delete global.createImageBitmap;
+  });
+
+  describe("load", () => {
+    it("should load the static resource when the library is missing", async () => {
+      // Arrange
+      delete window.qr;
+      loadScript.mockImplementation(async () => {
+        window.qr = qrLibrary;
+      });
+      const component = {};
+
+      // Act
+      await QrDecoder.load(component);
+
+      // Assert
+      expect(loadScript).toHaveBeenCalledWith(component, expect.anything());
+      expect(QrDecoder.isLoaded()).toBe(true);
+    });
+
+    it("should not load the static resource twice", async () => {
+      // Act
+      await QrDecoder.load({});
+
+      // Assert
+      expect(loadScript).not.toHaveBeenCalled();
+    });
+
+    it("should fail when the library is still missing after loading", async () => {
+      // Arrange
+      delete window.qr;
+      loadScript.mockResolvedValue();
+
+      // Act & Assert
+      await expect(QrDecoder.load({})).rejects.toThrow(
+        "QR Code library not found in global scope"
+      );
+    });
+  });
+
+  describe("decodeImageData", () => {
+    it("should decode a generated PIX QR code", () => {
+      // Act & Assert
+      expect(QrDecoder.decodeImageData(renderQRCode(PIX_CODE))).toBe(PIX_CODE);
+    });
+
+    it("should report images without a QR code", () => {
+      // Act & Assert
+      expect(() => QrDecoder.decodeImageData(blankImage())).toThrow(
+        "No QR code found in the image"
+      );
+    });
+
+    it("should fail when the library is not loaded", () => {
+      // Arrange
+      delete window.qr;
+
+      // Act & Assert
+      expect(() => QrDecoder.decodeImageData(renderQRCode(PIX_CODE))).toThrow(
+        "QR Code library is not loaded"
+      );
+    });
+  });
+
+  describe("decodeImage", () => {
+    it.each([
+      ["GIF", "image/gif", "gif"],
+      ["SVG", "image/svg+xml", "svg"]
+    ])("should decode a %s file", async (name, type, format) => {
+      // Arrange
+      const fixture = renderQRCode(PIX_CODE);
+      const bitmap = {
+        width: fixture.width,
+        height: fixture.height,
+        close: jest.fn()
+      };
+      global.createImageBitmap = jest.fn().mockResolvedValue(bitmap);
+      context.getImageData.mockReturnValue(fixture);
+      const file = new File([qrLibrary.encodeQR(PIX_CODE, format)], "qr", {
+        type
+      });
+
+      // Act
+      const result = await QrDecoder.decodeImage(file);
+
+      // Assert
+      expect(result).toBe(PIX_CODE);
+      expect(global.createImageBitmap).toHaveBeenCalledWith(file);
+      expect(context.drawImage).toHaveBeenCalledWith(
+        bitmap,
+        0,
+        0,
+        fixture.width,
+        fixture.height
+      );
+      expect(bitmap.close).toHaveBeenCalled();
+    });
+
+    it("should reject files that are not images", async () => {
+      // Arrange
+      const file = new File(["%PDF"], "code.pdf", { type: "application/pdf" });
+
+      // Act & Assert
+      await expect(QrDecoder.decodeImage(file)).rejects.toThrow(
+        "Unsupported file type: application/pdf"
+      );
+    });
+
+    it("should decode the current frame of a camera video, scaled down", async () => {
+      // Arrange
+      const video = document.createElement("video");
+      Object.defineProperty(video, "videoWidth", { value: 2048 });
+      Object.defineProperty(video, "videoHeight", { value: 1536 });
+      context.getImageData.mockReturnValue(renderQRCode(PIX_CODE));
+
+      // Act
+      const result = await QrDecoder.decodeImage(video);
+
+      // Assert
+      expect(result).toBe(PIX_CODE);
+      expect(context.drawImage).toHaveBeenCalledWith(video, 0, 0, 1024, 768);
+      expect(context.getImageData).toHaveBeenCalledWith(0, 0, 1024, 768);
+    });
+
+    it("should reject a video that is not playing yet", async () => {
+      // Arrange
+      const video = document.createElement("video");
+
+      // Act & Assert
+      await expect(QrDecoder.decodeImage(video)).rejects.toThrow(
+        "Image has no content to decode"
+      );
+    });
+  });
+
+  describe("decodeClipboard", () => {
+    it("should decode a pasted image", async () => {
+      // Arrange
+      const fixture = renderQRCode(PIX_CODE);
+      global.createImageBitmap = jest
+        .fn()
+        .mockResolvedValue({ width: fixture.width, height: fixture.height });
+      context.getImageData.mockReturnValue(fixture);
+      const file = new File(["png"], "image.png", { type: "image/png" });
+      const clipboardData = {
+        items: [
+          { kind: "string", type: "text/plain" },
+          { kind: "file", type: "image/png", getAsFile: () => file }
+        ]
+      };
+
+      // Act
+      const result = await QrDecoder.decodeClipboard({ clipboardData });
+
+      // Assert
+      expect(result).toBe(PIX_CODE);
+      expect(global.createImageBitmap).toHaveBeenCalledWith(file);
+    });
+
+    it("should ignore pasted text", async () => {
+      // Arrange
+      const clipboardData = { items: [{ kind: "string", type: "text/plain" }] };
+
+      // Act & Assert
+      await expect(QrDecoder.decodeClipboard(clipboardData)).resolves.toBe(
+        null
+      );
+    });
+  });
+});
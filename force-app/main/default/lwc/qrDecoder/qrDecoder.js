@@ -0,0 +1,165 @@
+/**
+ * QR Code Image Decoder
+ *
+ * Reads the text embedded in a QR code image entirely in the browser, using
+ * the decoder of the paulmillr/qr static resource. Images may come from a
+ * file input, a paste event or a camera (getUserMedia) video frame, and the
+ * result can be fed to PixCodec.decode.
+ */
+import { loadScript } from "lightning/platformResourceLoader";
+import QRCode from "@salesforce/resourceUrl/qr";
+
+// Larger images (e.g. camera photos) are scaled down before decoding
+const MAX_IMAGE_SIZE = 1024;
+
+/**
+ * Returns the decodeQR function of the loaded QR code library
+ * @returns {Function|undefined} - decodeQR, if the library is loaded
+ */
+function getLibraryDecode() {
+  // The bundle exposes its API on the "qr" global
+  const library = window.qr || window;
+  return library.decodeQR;
+}
+
+/**
+ * Returns the intrinsic size of an image source
+ * @param {CanvasImageSource} source - Image, video, canvas or bitmap
+ * @returns {Object} - Width and height in pixels
+ */
+function getSourceSize(source) {
+  return {
+    width: source.videoWidth || source.naturalWidth || source.width,
+    height: source.videoHeight || source.naturalHeight || source.height
+  };
+}
+
+/**
+ * Draws an image source on a canvas and returns its pixels
+ * @param {CanvasImageSource} source - Image, video, canvas or bitmap
+ * @returns {Object} - ImageData-like object with data, width and height
+ */
+function readPixels(source) {
+  const size = getSourceSize(source);
+
+  if (!size.width || !size.height) {
+    throw new Error("Image has no content to decode");
+  }
+
+  const scale = Math.min(1, MAX_IMAGE_SIZE / Math.max(size.width, size.height));
+  const width = Math.round(size.width * scale);
+  const height = Math.round(size.height * scale);
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+
+  const context = canvas.getContext("2d");
+  context.drawImage(source, 0, 0, width, height);
+
+  return context.getImageData(0, 0, width, height);
+}
+
+export class QrDecoder {
+  /**
+   * Loads the QR code library, if not loaded yet
+   * @param {LightningElement} component - Component loading the static resource
+   * @returns {Promise<void>}
+   */
+  static async load(component) {
+    if (!QrDecoder.isLoaded()) {
+      await loadScript(component, QRCode);
+    }
+
+    if (!QrDecoder.isLoaded()) {
+      throw new Error(
+        "QR Code library not found in global scope after loading. Please ensure the QR library is properly loaded."
+      );
+    }
+  }
+
+  /**
+   * Checks whether the QR code library is available
+   * @returns {boolean} - Whether decoding is possible
+   */
+  static isLoaded() {
+    return typeof getLibraryDecode() === "function";
+  }
+
+  /**
+   * Decodes the QR code found in raw RGBA pixels
+   * @param {Object} imageData - ImageData (or alike) with data, width and height
+   * @returns {string} - Text embedded in the QR code
+   */
+  static decodeImageData(imageData) {
+    const decodeQR = getLibraryDecode();
+
+    if (!decodeQR) {
+      throw new Error("QR Code library is not loaded");
+    }
+
+    try {
+      return decodeQR({
+        data: imageData.data,
+        width: imageData.width,
+        height: imageData.height
+      });
+    } catch (error) {
+      throw new Error(`No QR code found in the image (${error.message})`);
+    }
+  }
+
+  /**
+   * Decodes the QR code in an image
+   *
+   * Accepts files and blobs (e.g. from a file input or a paste event) as well
+   * as anything that can be drawn on a canvas, such as an <img>, a <canvas> or
+   * a <video> playing a getUserMedia stream, whose current frame is decoded.
+   * @param {Blob|CanvasImageSource} source - Image to decode
+   * @returns {Promise<string>} - Text embedded in the QR code
+   */
+  static async decodeImage(source) {
+    if (!source) {
+      throw new Error("No image to decode");
+    }
+
+    if (typeof Blob !== "undefined" && source instanceof Blob) {
+      if (source.type && !source.type.startsWith("image/")) {
+        throw new Error(`Unsupported file type: ${source.type}`);
+      }
+
+      const bitmap = await createImageBitmap(source);
+      try {
+        return QrDecoder.decodeImageData(readPixels(bitmap));
+      } finally {
+        if (bitmap.close) {
+          bitmap.close();
+        }
+      }
+    }
+
+    return QrDecoder.decodeImageData(readPixels(source));
+  }
+
+  /**
+   * Decodes the first image pasted by the user
+   * @param {ClipboardEvent|DataTransfer} clipboard - Paste event or its clipboard data
+   * @returns {Promise<string|null>} - Text embedded in the QR code, or null
+   * when nothing but text was pasted
+   */
+  static async decodeClipboard(clipboard) {
+    const data = clipboard && (clipboard.clipboardData || clipboard);
+    const items = Array.from((data && data.items) || []);
+    const imageItem = items.find(
+      (item) => item.kind === "file" && item.type.startsWith("image/")
+    );
+
+    if (!imageItem) {
+      return null;
+    }
+
+    return QrDecoder.decodeImage(imageItem.getAsFile());
+  }
+}
+
+export default QrDecoder;
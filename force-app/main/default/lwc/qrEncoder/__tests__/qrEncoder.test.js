@@ -0,0 +1,256 @@
+import { QrEncoder } from "c/qrEncoder";
+import qrLibrary from "../../../../../test/jest-helpers/qrLibrary";
+
+const ECC_LEVELS = ["low", "medium", "quartile", "high"];
+
+const PIX_CODE =
+  "00020126360014BR.GOV.BCB.PIX0114234842250001665204000053039865406123.455802BR5907WISEFOX6014BELO HORIZONTE62450507ref123450300017BR.GOV.BCB.BRCODE01051.0.063040D3F";
+
+// "pix" at version 1, high error correction, mask 0
+const PIX_VERSION_1 = [
+  "#######.#####.#######",
+  "#.....#...#.#.#.....#",
+  "#.###.#...#.#.#.###.#",
+  "#.###.#.##.#..#.###.#",
+  "#.###.#..#.##.#.###.#",
+  "#.....#....#..#.....#",
+  "#######.#.#.#.#######",
+  ".....................",
+  "..#.###.####.#...#..#",
+  ".#.#.#.#.#..###..####",
+  "###.#.#..##.#...#####",
+  "#...##.#.#.###.....#.",
+  ".#.##.#.##.#..#.##..#",
+  "........#...####.##.#",
+  "#######....##.##..###",
+  "#.....#.##..#.####..#",
+  "#.###.#.########..#.#",
+  "#.###.#..#.#.##...##.",
+  "#.###.#.#.####..#...#",
+  "#.....#...###.#...##.",
+  "#######...#..#..#.###"
+];
+
+/**
+ * Draws a matrix as text, one row per line
+ * @param {Array<Array<boolean>>} modules - Matrix of modules
+ * @returns {Array<string>} - Rows, "#" for dark modules
+ */
+const toRows = (modules) =>
+  modules.map((row) => row.map((isDark) => (isDark ? "#" : ".")).join(""));
+
+/**
+ * Renders a matrix as RGBA pixels with a 4-module quiet zone
+ * @param {Array<Array<boolean>>} modules - Matrix of modules
+ * @param {number} [scale] - Pixels per module
+ * @returns {Object} - ImageData-like object
+ */
+const renderModules = (modules, scale = 4) => {
+  const quietZone = 4;
+  const size = (modules.length + 2 * quietZone) * scale;
+  const data = new Uint8ClampedArray(size * size * 4).fill(255);
+
+  modules.forEach((row, y) =>
+    row.forEach((isDark, x) => {
+      for (let dy = 0; isDark && dy < scale; dy++) {
+        const offset =
+          (((y + quietZone) * scale + dy) * size + (x + quietZone) * scale) * 4;
+        data.fill(0, offset, offset + scale * 4);
+      }
+    })
+  );
+
+  // Restores the alpha channel of the dark pixels
+  for (let i = 3; i < data.length; i += 4) {
+    data[i] = 255;
+  }
+
+  return { data, width: size, height: size };
+};
+
+describe("QrEncoder", () => {
+  describe("encode", () => {
+    it("should encode a known version 1 matrix", () => {
+      // Act
+      const result = QrEncoder.encode("pix", { ecc: "high" });
+
+      // Assert
+      expect(result).toEqual(
+        expect.objectContaining({ version: 1, ecc: "high", mask: 0, size: 21 })
+      );
+      expect(toRows(result.modules)).toEqual(PIX_VERSION_1);
+    });
+
+    it.each(Array.from({ length: 40 }, (_, index) => index + 1))(
+      "should match the reference encoder at version %i",
+      (version) => {
+        ECC_LEVELS.forEach((ecc, index) => {
+          // Arrange
+          const mask = (version + index) % 8;
+
+          // Act
+          const { modules } = QrEncoder.encode(PIX_CODE.slice(0, version), {
+            ecc,
+            version,
+            mask
+          });
+
+          // Assert
+          expect(modules).toEqual(
+            qrLibrary.encodeQR(PIX_CODE.slice(0, version), "raw", {
+              ecc,
+              version,
+              mask,
+              encoding: "byte",
+              border: 0
+            })
+          );
+        });
+      }
+    );
+
+    it.each(ECC_LEVELS)(
+      "should encode a PIX code readable at %s error correction",
+      (ecc) => {
+        // Act
+        const { modules } = QrEncoder.encode(PIX_CODE, { ecc });
+
+        // Assert
+        expect(qrLibrary.decodeQR(renderModules(modules))).toBe(PIX_CODE);
+      }
+    );
+
+    it("should encode text as UTF-8", () => {
+      // Arrange
+      const text = "PIX SÃO JOSÉ 😀";
+
+      // Act
+      const { modules } = QrEncoder.encode(text);
+
+      // Assert
+      expect(qrLibrary.decodeQR(renderModules(modules))).toBe(text);
+    });
+
+    it.each([
+      ["a".repeat(14), "medium", 1],
+      ["a".repeat(15), "medium", 2],
+      ["a".repeat(17), "low", 1],
+      ["a".repeat(2953), "low", 40],
+      [PIX_CODE, "medium", 9],
+      [PIX_CODE, "high", 13]
+    ])(
+      "should pick the smallest version for %#",
+      (text, ecc, expectedVersion) => {
+        // Act
+        const { version, size } = QrEncoder.encode(text, { ecc });
+
+        // Assert
+        expect(version).toBe(expectedVersion);
+        expect(size).toBe(expectedVersion * 4 + 17);
+      }
+    );
+
+    it("should choose a mask by the penalty rules unless one is forced", () => {
+      // Act
+      const chosen = QrEncoder.encode(PIX_CODE);
+      const forced = QrEncoder.encode(PIX_CODE, { mask: 5 });
+
+      // Assert
+      expect(chosen.mask).toBe(2);
+      expect(forced.mask).toBe(5);
+      expect(qrLibrary.decodeQR(renderModules(forced.modules))).toBe(PIX_CODE);
+    });
+
+    it.each([
+      [{ ecc: "extreme" }, 'Invalid error correction level "extreme"'],
+      [{ version: 0 }, 'Invalid version "0": expected 1 to 40'],
+      [{ version: 2.5 }, 'Invalid version "2.5": expected 1 to 40'],
+      [{ mask: 8 }, 'Invalid mask "8": expected 0 to 7'],
+      [{ version: 1 }, "Text too long: 163 bytes do not fit in a version 1"]
+    ])("should reject the options %p", (options, message) => {
+      // Act & Assert
+      expect(() => QrEncoder.encode(PIX_CODE, options)).toThrow(message);
+    });
+
+    it("should reject text longer than version 40 holds", () => {
+      // Act & Assert
+      expect(() => QrEncoder.encode("a".repeat(1274), { ecc: "high" })).toThrow(
+        "Text too long: 1274 bytes do not fit in a version 40 QR code with high error correction"
+      );
+    });
+
+    it("should reject anything but text", () => {
+      // Act & Assert
+      expect(() => QrEncoder.encode(123)).toThrow(
+        "Invalid text: expected a string"
+      );
+    });
+  });
+
+  describe("toSvgPath", () => {
+    it("should draw one rectangle per horizontal run of dark modules", () => {
+      // Arrange
+      const modules = [
+        [true, true, false, true],
+        [false, false, false, false],
+        [true, true, true, true]
+      ];
+
+      // Act & Assert
+      expect(QrEncoder.toSvgPath(modules)).toBe(
+        "M0 0h2v1h-2zM3 0h1v1h-1zM0 2h4v1h-4z"
+      );
+      expect(QrEncoder.toSvgPath(modules, 2)).toBe(
+        "M2 2h2v1h-2zM5 2h1v1h-1zM2 4h4v1h-4z"
+      );
+    });
+  });
+
+  describe("toSvg", () => {
+    it("should size the viewBox by the modules and the quiet zone", () => {
+      // Act
+      const svg = QrEncoder.toSvg("pix", { ecc: "high" });
+      const bordered = QrEncoder.toSvg("pix", { ecc: "high", border: 4 });
+
+      // Assert
+      expect(svg).toMatch(
+        /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" viewBox="0 0 25 25"><path d="M2 2h7v1h-7z[^"]*"\/><\/svg>$/
+      );
+      expect(bordered).toContain('viewBox="0 0 29 29"');
+      expect(bordered).toContain('d="M4 4h7v1h-7z');
+    });
+
+    it("should draw the same modules as the matrix", () => {
+      // Arrange
+      const { modules } = QrEncoder.encode(PIX_CODE);
+      const size = modules.length + 4;
+      const svgDocument = new DOMParser().parseFromString(
+        QrEncoder.toSvg(PIX_CODE),
+        "image/svg+xml"
+      );
+      const drawn = Array.from({ length: size }, () =>
+        new Array(size).fill(false)
+      );
+
+      // Act
+      const path = svgDocument.querySelector("path").getAttribute("d");
+      for (const [, x, y, length] of path.matchAll(/M(\d+) (\d+)h(\d+)/g)) {
+        for (let i = 0; i < Number(length); i++) {
+          drawn[Number(y)][Number(x) + i] = true;
+        }
+      }
+
+      // Assert
+      expect(drawn.slice(2, -2).map((row) => row.slice(2, -2))).toEqual(
+        modules
+      );
+    });
+
+    it("should reject a negative quiet zone", () => {
+      // Act & Assert
+      expect(() => QrEncoder.toSvg("pix", { border: -1 })).toThrow(
+        'Invalid border "-1"'
+      );
+    });
+  });
+});
@@ -0,0 +1,749 @@
+/**
+ * QR Code Encoder
+ *
+ * Encodes text as a QR code (ISO/IEC 18004) entirely in JavaScript, so that
+ * components can import it instead of loading a script into the global
+ * scope. Text is always encoded in byte mode (UTF-8), which covers every PIX
+ * code, using versions 1 to 40 and any error correction level. The matrix can
+ * be rendered as an SVG path.
+ */
+
+// Error correction levels, by name, with the 2 bits of the format information
+const ECC_LEVELS = {
+  low: { index: 0, formatBits: 1 },
+  medium: { index: 1, formatBits: 0 },
+  quartile: { index: 2, formatBits: 3 },
+  high: { index: 3, formatBits: 2 }
+};
+
+// Error correction codewords per block, by level (low to high) and version
+const ECC_CODEWORDS_PER_BLOCK = [
+  [
+    7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28,
+    28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30,
+    30, 30
+  ],
+  [
+    10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26,
+    26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28,
+    28, 28
+  ],
+  [
+    13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26,
+    30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30,
+    30, 30
+  ],
+  [
+    17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26,
+    28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30,
+    30, 30
+  ]
+];
+
+// Error correction blocks, by level (low to high) and version
+const ECC_BLOCKS = [
+  [
+    1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12,
+    12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25
+  ],
+  [
+    1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17,
+    18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49
+  ],
+  [
+    1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23,
+    25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68
+  ],
+  [
+    1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25,
+    34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81
+  ]
+];
+
+const MIN_VERSION = 1;
+const MAX_VERSION = 40;
+
+// Byte mode indicator
+const BYTE_MODE = 0b0100;
+
+// Penalty weights of the mask evaluation rules
+const PENALTY_RUN = 3;
+const PENALTY_BLOCK = 3;
+const PENALTY_FINDER = 40;
+const PENALTY_BALANCE = 10;
+
+// Data masks, by number, telling whether the module at (x, y) is flipped
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+];
+
+/**
+ * Encodes a string as UTF-8 bytes
+ * @param {string} value - The string to encode
+ * @returns {Array<number>} - UTF-8 bytes
+ */
+function toUTF8Bytes(value) {
+  const bytes = [];
+
+  for (const char of value) {
+    const codePoint = char.codePointAt(0);
+
+    if (codePoint < 0x80) {
+      bytes.push(codePoint);
+    } else if (codePoint < 0x800) {
+      bytes.push(0xc0 | (codePoint >> 6), 0x80 | (codePoint & 0x3f));
+    } else if (codePoint < 0x10000) {
+      bytes.push(
+        0xe0 | (codePoint >> 12),
+        0x80 | ((codePoint >> 6) & 0x3f),
+        0x80 | (codePoint & 0x3f)
+      );
+    } else {
+      bytes.push(
+        0xf0 | (codePoint >> 18),
+        0x80 | ((codePoint >> 12) & 0x3f),
+        0x80 | ((codePoint >> 6) & 0x3f),
+        0x80 | (codePoint & 0x3f)
+      );
+    }
+  }
+
+  return bytes;
+}
+
+/**
+ * Returns the bit at a position of a number
+ * @param {number} value - Number
+ * @param {number} index - Bit position, 0 being the least significant
+ * @returns {boolean} - Whether the bit is set
+ */
+function getBit(value, index) {
+  return ((value >>> index) & 1) !== 0;
+}
+
+/**
+ * Returns the width and height of a QR code, in modules
+ * @param {number} version - Version (1 to 40)
+ * @returns {number} - Modules per side
+ */
+function getSize(version) {
+  return version * 4 + 17;
+}
+
+/**
+ * Counts the modules available for data and error correction codewords,
+ * i.e. those not taken by function patterns and format or version information
+ * @param {number} version - Version (1 to 40)
+ * @returns {number} - Number of modules
+ */
+function getRawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+
+  if (version >= 2) {
+    const alignments = Math.floor(version / 7) + 2;
+    result -= (25 * alignments - 10) * alignments - 55;
+
+    if (version >= 7) {
+      result -= 36;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Counts the data codewords of a version at an error correction level
+ * @param {number} version - Version (1 to 40)
+ * @param {number} level - Error correction level index (0 to 3)
+ * @returns {number} - Number of data codewords
+ */
+function getDataCodewords(version, level) {
+  return (
+    Math.floor(getRawDataModules(version) / 8) -
+    ECC_CODEWORDS_PER_BLOCK[level][version - 1] * ECC_BLOCKS[level][version - 1]
+  );
+}
+
+/**
+ * Returns the bit length of the character count in byte mode
+ * @param {number} version - Version (1 to 40)
+ * @returns {number} - 8 for versions 1 to 9, 16 from version 10 on
+ */
+function getCountBits(version) {
+  return version < 10 ? 8 : 16;
+}
+
+/**
+ * Returns the row and column centers of the alignment patterns
+ * @param {number} version - Version (1 to 40)
+ * @returns {Array<number>} - Ascending positions
+ */
+function getAlignmentPositions(version) {
+  if (version === 1) {
+    return [];
+  }
+
+  const count = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+  const positions = [6];
+
+  for (let position = getSize(version) - 7; positions.length < count; ) {
+    positions.splice(1, 0, position);
+    position -= step;
+  }
+
+  return positions;
+}
+
+/**
+ * Multiplies two elements of GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+ * @param {number} x - Byte
+ * @param {number} y - Byte
+ * @returns {number} - Product
+ */
+function multiply(x, y) {
+  let product = 0;
+
+  for (let i = 7; i >= 0; i--) {
+    product = (product << 1) ^ ((product >>> 7) * 0x11d);
+    product ^= ((y >>> i) & 1) * x;
+  }
+
+  return product;
+}
+
+/**
+ * Computes the Reed-Solomon generator polynomial of a degree, without its
+ * leading term
+ * @param {number} degree - Number of error correction codewords
+ * @returns {Array<number>} - Coefficients, highest power first
+ */
+function getGenerator(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = multiply(result[j], root);
+      if (j + 1 < degree) {
+        result[j] ^= result[j + 1];
+      }
+    }
+    root = multiply(root, 0x02);
+  }
+
+  return result;
+}
+
+/**
+ * Computes the Reed-Solomon error correction codewords of a block
+ * @param {Array<number>} data - Data codewords of the block
+ * @param {Array<number>} generator - Generator polynomial (see getGenerator)
+ * @returns {Array<number>} - Error correction codewords
+ */
+function getRemainder(data, generator) {
+  const result = new Array(generator.length).fill(0);
+
+  data.forEach((byte) => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    generator.forEach((coefficient, i) => {
+      result[i] ^= multiply(coefficient, factor);
+    });
+  });
+
+  return result;
+}
+
+/**
+ * Builds the data codewords: mode, character count, bytes, terminator and
+ * padding
+ * @param {Array<number>} bytes - Bytes to encode
+ * @param {number} version - Version (1 to 40)
+ * @param {number} level - Error correction level index (0 to 3)
+ * @returns {Array<number>} - Data codewords
+ */
+function getDataCodewordsOf(bytes, version, level) {
+  const capacity = getDataCodewords(version, level) * 8;
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) {
+      bits.push(getBit(value, i) ? 1 : 0);
+    }
+  };
+
+  append(BYTE_MODE, 4);
+  append(bytes.length, getCountBits(version));
+  bytes.forEach((byte) => append(byte, 8));
+
+  // Terminator, then zeros up to a byte boundary
+  append(0, Math.min(4, capacity - bits.length));
+  append(0, (8 - (bits.length % 8)) % 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(parseInt(bits.slice(i, i + 8).join(""), 2));
+  }
+
+  // Alternating pad codewords fill the remaining capacity
+  for (let pad = 0xec; codewords.length < capacity / 8; pad ^= 0xec ^ 0x11) {
+    codewords.push(pad);
+  }
+
+  return codewords;
+}
+
+/**
+ * Splits the data codewords into blocks, appends their error correction
+ * codewords and interleaves the blocks
+ * @param {Array<number>} data - Data codewords
+ * @param {number} version - Version (1 to 40)
+ * @param {number} level - Error correction level index (0 to 3)
+ * @returns {Array<number>} - Final sequence of codewords
+ */
+function addErrorCorrection(data, version, level) {
+  const blockCount = ECC_BLOCKS[level][version - 1];
+  const eccLength = ECC_CODEWORDS_PER_BLOCK[level][version - 1];
+  const rawCodewords = Math.floor(getRawDataModules(version) / 8);
+  const shortBlocks = blockCount - (rawCodewords % blockCount);
+  const shortBlockLength = Math.floor(rawCodewords / blockCount);
+  const generator = getGenerator(eccLength);
+
+  // Long blocks (the last ones) carry one more data codeword
+  const blocks = [];
+  for (let i = 0, offset = 0; i < blockCount; i++) {
+    const length = shortBlockLength - eccLength + (i < shortBlocks ? 0 : 1);
+    const block = data.slice(offset, offset + length);
+    offset += length;
+    blocks.push({ data: block, ecc: getRemainder(block, generator) });
+  }
+
+  const result = [];
+  for (let i = 0; i <= shortBlockLength - eccLength; i++) {
+    blocks.forEach((block) => {
+      if (i < block.data.length) {
+        result.push(block.data[i]);
+      }
+    });
+  }
+  for (let i = 0; i < eccLength; i++) {
+    blocks.forEach((block) => result.push(block.ecc[i]));
+  }
+
+  return result;
+}
+
+/**
+ * Builds an empty QR code with its function patterns: finder, separator,
+ * timing and alignment patterns, the dark module and the version information
+ * @param {number} version - Version (1 to 40)
+ * @returns {Object} - Matrix of modules and matrix of function module flags
+ */
+function createMatrix(version) {
+  const size = getSize(version);
+  const modules = Array.from({ length: size }, () =>
+    new Array(size).fill(false)
+  );
+  const isFunction = Array.from({ length: size }, () =>
+    new Array(size).fill(false)
+  );
+  const set = (x, y, isDark) => {
+    modules[y][x] = isDark;
+    isFunction[y][x] = true;
+  };
+
+  // Timing patterns
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+
+  // Finder patterns, with their separators
+  [
+    [3, 3],
+    [size - 4, 3],
+    [3, size - 4]
+  ].forEach(([centerX, centerY]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        const x = centerX + dx;
+        const y = centerY + dy;
+        if (x >= 0 && x < size && y >= 0 && y < size) {
+          set(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  });
+
+  // Alignment patterns, except where they would overlap a finder pattern
+  const positions = getAlignmentPositions(version);
+  const last = positions.length - 1;
+  positions.forEach((centerY, i) => {
+    positions.forEach((centerX, j) => {
+      if (
+        (i === 0 && j === 0) ||
+        (i === 0 && j === last) ||
+        (i === last && j === 0)
+      ) {
+        return;
+      }
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          set(
+            centerX + dx,
+            centerY + dy,
+            Math.max(Math.abs(dx), Math.abs(dy)) !== 1
+          );
+        }
+      }
+    });
+  });
+
+  // Reserves the format information, drawn once the mask is known
+  drawFormatBits(set, size, 0);
+
+  // Version information, from version 7 on
+  if (version >= 7) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    }
+    const bits = (version << 12) | remainder;
+
+    for (let i = 0; i < 18; i++) {
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      set(a, b, getBit(bits, i));
+      set(b, a, getBit(bits, i));
+    }
+  }
+
+  return { modules, isFunction, set };
+}
+
+/**
+ * Draws both copies of the format information (error correction level and
+ * mask), along with the dark module
+ * @param {Function} set - Sets a function module: (x, y, isDark)
+ * @param {number} size - Modules per side
+ * @param {number} data - Error correction level format bits and mask (5 bits)
+ */
+function drawFormatBits(set, size, data) {
+  let remainder = data;
+  for (let i = 0; i < 10; i++) {
+    remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+  }
+  const bits = ((data << 10) | remainder) ^ 0x5412;
+
+  // Around the top left finder pattern
+  for (let i = 0; i <= 5; i++) {
+    set(8, i, getBit(bits, i));
+  }
+  set(8, 7, getBit(bits, 6));
+  set(8, 8, getBit(bits, 7));
+  set(7, 8, getBit(bits, 8));
+  for (let i = 9; i < 15; i++) {
+    set(14 - i, 8, getBit(bits, i));
+  }
+
+  // Split between the top right and bottom left finder patterns
+  for (let i = 0; i < 8; i++) {
+    set(size - 1 - i, 8, getBit(bits, i));
+  }
+  for (let i = 8; i < 15; i++) {
+    set(8, size - 15 + i, getBit(bits, i));
+  }
+  set(8, size - 8, true);
+}
+
+/**
+ * Places the codewords in the zigzag order, two columns at a time from the
+ * bottom right corner, skipping function modules
+ * @param {Array<Array<boolean>>} modules - Matrix of modules
+ * @param {Array<Array<boolean>>} isFunction - Matrix of function module flags
+ * @param {Array<number>} codewords - Codewords to place
+ */
+function placeCodewords(modules, isFunction, codewords) {
+  const size = modules.length;
+  let index = 0;
+
+  for (let right = size - 1; right >= 1; right -= 2) {
+    // The vertical timing pattern takes the whole column 6
+    if (right === 6) {
+      right = 5;
+    }
+
+    const isUpward = ((right + 1) & 2) === 0;
+    for (let vertical = 0; vertical < size; vertical++) {
+      const y = isUpward ? size - 1 - vertical : vertical;
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        if (!isFunction[y][x] && index < codewords.length * 8) {
+          modules[y][x] = getBit(codewords[index >>> 3], 7 - (index & 7));
+          index++;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Flips the data modules selected by a mask; applying it twice undoes it
+ * @param {Array<Array<boolean>>} modules - Matrix of modules
+ * @param {Array<Array<boolean>>} isFunction - Matrix of function module flags
+ * @param {number} mask - Mask number (0 to 7)
+ */
+function applyMask(modules, isFunction, mask) {
+  modules.forEach((row, y) => {
+    row.forEach((isDark, x) => {
+      if (!isFunction[y][x] && MASKS[mask](x, y)) {
+        row[x] = !isDark;
+      }
+    });
+  });
+}
+
+// Finder-like pattern (dark-light-dark x3-light-dark) next to 4 light modules
+const FINDER_LIKE_PATTERNS = [
+  [1, 0, 1, 1, 1, 0, 1, 0, 0, 0, 0],
+  [0, 0, 0, 0, 1, 0, 1, 1, 1, 0, 1]
+].map((pattern) => pattern.map(Boolean));
+
+/**
+ * Scores a line (row or column) on the rules of long runs and finder-like
+ * patterns
+ * @param {Array<boolean>} line - Modules of the line
+ * @returns {number} - Penalty points
+ */
+function getLinePenalty(line) {
+  let penalty = 0;
+  let runLength = 1;
+
+  for (let i = 1; i <= line.length; i++) {
+    if (i < line.length && line[i] === line[i - 1]) {
+      runLength++;
+    } else {
+      if (runLength >= 5) {
+        penalty += PENALTY_RUN + runLength - 5;
+      }
+      runLength = 1;
+    }
+  }
+
+  const matchesAt = (start, pattern) =>
+    pattern.every((isDark, j) => line[start + j] === isDark);
+
+  for (let i = 0; i + FINDER_LIKE_PATTERNS[0].length <= line.length; i++) {
+    for (const pattern of FINDER_LIKE_PATTERNS) {
+      if (matchesAt(i, pattern)) {
+        penalty += PENALTY_FINDER;
+      }
+    }
+  }
+
+  return penalty;
+}
+
+/**
+ * Scores a masked QR code; the mask with the lowest score is used
+ * @param {Array<Array<boolean>>} modules - Matrix of modules
+ * @returns {number} - Penalty points
+ */
+function getPenalty(modules) {
+  const size = modules.length;
+  let penalty = 0;
+  let dark = 0;
+
+  for (let i = 0; i < size; i++) {
+    penalty += getLinePenalty(modules[i]);
+    penalty += getLinePenalty(modules.map((row) => row[i]));
+  }
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const isDark = modules[y][x];
+      if (isDark) {
+        dark++;
+      }
+      if (
+        y < size - 1 &&
+        x < size - 1 &&
+        isDark === modules[y][x + 1] &&
+        isDark === modules[y + 1][x] &&
+        isDark === modules[y + 1][x + 1]
+      ) {
+        penalty += PENALTY_BLOCK;
+      }
+    }
+  }
+
+  // Each full 5% away from an even dark/light balance
+  const darkPercentage = (dark * 100) / (size * size);
+
+  return (
+    penalty + Math.floor(Math.abs(darkPercentage - 50) / 5) * PENALTY_BALANCE
+  );
+}
+
+/**
+ * Validates an optional integer option
+ * @param {string} name - Option name, for error messages
+ * @param {*} value - Option value
+ * @param {number} min - Smallest value allowed
+ * @param {number} max - Largest value allowed
+ */
+function checkRange(name, value, min, max) {
+  if (
+    value !== undefined &&
+    (!Number.isInteger(value) || value < min || value > max)
+  ) {
+    throw new Error(`Invalid ${name} "${value}": expected ${min} to ${max}`);
+  }
+}
+
+export class QrEncoder {
+  /**
+   * Encodes text as a QR code matrix
+   *
+   * The smallest version that fits the text is used unless one is given, and
+   * the mask is chosen by the penalty rules of the standard unless forced.
+   * @param {string} text - Text to encode (in byte mode, as UTF-8)
+   * @param {Object} [options] - Encoding options
+   * @param {string} [options.ecc] - Error correction level: "low", "medium"
+   * (default), "quartile" or "high"
+   * @param {number} [options.version] - Version (1 to 40)
+   * @param {number} [options.mask] - Mask (0 to 7)
+   * @returns {Object} - version, ecc, mask, size and modules, a matrix of rows
+   * where true is a dark module
+   */
+  static encode(text, { ecc = "medium", version, mask } = {}) {
+    if (typeof text !== "string") {
+      throw new Error("Invalid text: expected a string");
+    }
+
+    const level = ECC_LEVELS[ecc];
+    if (!level) {
+      throw new Error(
+        `Invalid error correction level "${ecc}": expected ${Object.keys(ECC_LEVELS).join(", ")}`
+      );
+    }
+
+    checkRange("version", version, MIN_VERSION, MAX_VERSION);
+    checkRange("mask", mask, 0, MASKS.length - 1);
+
+    const bytes = toUTF8Bytes(text);
+    const fits = (candidate) =>
+      4 + getCountBits(candidate) + bytes.length * 8 <=
+      getDataCodewords(candidate, level.index) * 8;
+
+    let selectedVersion = version;
+    if (selectedVersion === undefined) {
+      selectedVersion = MIN_VERSION;
+      while (selectedVersion <= MAX_VERSION && !fits(selectedVersion)) {
+        selectedVersion++;
+      }
+    }
+
+    if (selectedVersion > MAX_VERSION || !fits(selectedVersion)) {
+      throw new Error(
+        `Text too long: ${bytes.length} bytes do not fit in a version ${Math.min(selectedVersion, MAX_VERSION)} QR code with ${ecc} error correction`
+      );
+    }
+
+    const codewords = addErrorCorrection(
+      getDataCodewordsOf(bytes, selectedVersion, level.index),
+      selectedVersion,
+      level.index
+    );
+    const { modules, isFunction, set } = createMatrix(selectedVersion);
+    const size = modules.length;
+    placeCodewords(modules, isFunction, codewords);
+
+    let selectedMask = mask;
+    if (selectedMask === undefined) {
+      let lowestPenalty = Infinity;
+      MASKS.forEach((_, candidate) => {
+        applyMask(modules, isFunction, candidate);
+        drawFormatBits(set, size, (level.formatBits << 3) | candidate);
+        const penalty = getPenalty(modules);
+        if (penalty < lowestPenalty) {
+          lowestPenalty = penalty;
+          selectedMask = candidate;
+        }
+        applyMask(modules, isFunction, candidate);
+      });
+    }
+
+    applyMask(modules, isFunction, selectedMask);
+    drawFormatBits(set, size, (level.formatBits << 3) | selectedMask);
+
+    return {
+      version: selectedVersion,
+      ecc,
+      mask: selectedMask,
+      size,
+      modules
+    };
+  }
+
+  /**
+   * Describes the dark modules of a matrix as SVG path data, one rectangle per
+   * horizontal run
+   * @param {Array<Array<boolean>>} modules - Matrix of modules
+   * @param {number} [border] - Quiet zone offset, in modules
+   * @returns {string} - Path data in module units
+   */
+  static toSvgPath(modules, border = 0) {
+    const commands = [];
+
+    modules.forEach((row, y) => {
+      for (let x = 0; x < row.length; x++) {
+        if (row[x]) {
+          const start = x;
+          while (x + 1 < row.length && row[x + 1]) {
+            x++;
+          }
+          const length = x - start + 1;
+          commands.push(
+            `M${start + border} ${y + border}h${length}v1h-${length}z`
+          );
+        }
+      }
+    });
+
+    return commands.join("");
+  }
+
+  /**
+   * Encodes text as a QR code SVG
+   *
+   * The viewBox is measured in modules, quiet zone included, so the SVG can be
+   * scaled to any size by setting its width and height.
+   * @param {string} text - Text to encode
+   * @param {Object} [options] - Encoding options (see encode)
+   * @param {number} [options.border] - Quiet zone, in modules (defaults to 2)
+   * @returns {string} - SVG markup
+   */
+  static toSvg(text, { border = 2, ...options } = {}) {
+    checkRange("border", border, 0, Number.MAX_SAFE_INTEGER);
+
+    const { size, modules } = QrEncoder.encode(text, options);
+    const extent = size + border * 2;
+
+    return (
+      `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${extent} ${extent}">` +
+      `<path d="${QrEncoder.toSvgPath(modules, border)}"/></svg>`
+    );
+  }
+}
+
+export default QrEncoder;
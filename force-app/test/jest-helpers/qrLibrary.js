@@ -0,0 +1,33 @@
+/**
+ * QR Code Reference Library
+ *
+ * Loads the paulmillr/qr static resource in its own context, for tests that
+ * check QR codes against a reference encoder and decoder. jsdom lacks
+ * TextEncoder and TextDecoder, so Node's are passed in, along with the
+ * typed arrays of the tests so that their image data passes the library's
+ * type checks.
+ */
+import { readFileSync } from "fs";
+import { resolve } from "path";
+import { TextDecoder, TextEncoder } from "util";
+import { runInNewContext } from "vm";
+
+const source = readFileSync(
+  resolve(__dirname, "../../main/default/staticresources/qr.js"),
+  "utf8"
+);
+
+export const qrLibrary = runInNewContext(`${source};qr`, {
+  TextEncoder,
+  TextDecoder,
+  ArrayBuffer,
+  Uint8Array,
+  Uint8ClampedArray,
+  Uint16Array,
+  Uint32Array,
+  Int8Array,
+  Int16Array,
+  Int32Array
+});
+
+export default qrLibrary;
@@ -0,0 +1,13 @@
+export class FlowAttributeChangeEvent extends CustomEvent {
+  constructor(attributeName, attributeValue) {
+    super("flowattributechange", {
+      composed: true,
+      cancelable: true,
+      bubbles: true,
+      detail: {
+        attributeName,
+        attributeValue
+      }
+    });
+  }
+}
@@ -2,5 +2,9 @@ const { jestConfig } = require('@salesforce/sfdx-lwc-jest/config');
 
 module.exports = {
     ...jestConfig,
+    moduleNameMapper: {
+        '^lightning/flowSupport$':
+            '<rootDir>/force-app/test/jest-mocks/lightning/flowSupport'
+    },
     modulePathIgnorePatterns: ['<rootDir>/.localdevserver']
 };
@@ -0,0 +1,57 @@
+import { spawnSync } from "child_process";
+import { resolve } from "path";
+import { PixCodec } from "c/pixCodec";
+
+const ROOT = resolve(__dirname, "../..");
+
+/**
+ * Runs a script with plain Node from the project root
+ * @param {Array<string>} args - Node arguments
+ * @returns {Object} - Exit status, stdout and stderr
+ */
+const node = (args) =>
+  spawnSync(process.execPath, args, {
+    cwd: ROOT,
+    encoding: "utf8",
+    timeout: 30000
+  });
+
+const PAYMENT = {
+  key: "23484225000166",
+  merchantName: "WISEFOX",
+  merchantCity: "BELO HORIZONTE"
+};
+
+describe("Node entry point", () => {
+  it("should import the codec from the package", () => {
+    // Act
+    const { status, stdout, stderr } = node([
+      "--input-type=module",
+      "-e",
+      `import PixCodec, { encode, createPayment } from "@wisefoxme/pix-codec-lib";
+      console.log(encode(createPayment(${JSON.stringify(PAYMENT)})));
+      console.log(typeof PixCodec.decode);`
+    ]);
+
+    // Assert
+    expect(stderr).toBe("");
+    expect(status).toBe(0);
+    expect(stdout).toBe(
+      `${PixCodec.encode(PixCodec.createPayment(PAYMENT))}\nfunction\n`
+    );
+  });
+
+  it("should load from CommonJS through a dynamic import", () => {
+    // Act
+    const { status, stdout } = node([
+      "-e",
+      `import("@wisefoxme/pix-codec-lib").then(({ PixCodec }) => {
+        console.log(PixCodec.decode("0002016304AAE6").value[0].value);
+      });`
+    ]);
+
+    // Assert
+    expect(status).toBe(0);
+    expect(stdout).toBe("01\n");
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * Node.js Entry Point
+ *
+ * Loads the pixCodec service component outside Salesforce and re-exports it,
+ * so that Node code can `import` the codec from the package (CommonJS code
+ * through `await import()`). The module hooks are registered first, since
+ * LWC modules need them to load in Node.
+ */
+
+import { register } from "node:module";
+
+register("./lwcModuleHooks.mjs", import.meta.url);
+
+const pixCodec = await import(
+  "../force-app/main/default/lwc/pixCodec/pixCodec.js"
+);
+
+export const {
+  PixCodec,
+  PixDecodeError,
+  PixAmount,
+  PixMerchant,
+  PixDataError,
+  PixDataSchema,
+  encode,
+  decode,
+  createPayment,
+  validateKey,
+  calculateCRC16
+} = pixCodec;
+
+export default pixCodec.default;
@@ -0,0 +1,44 @@
+/**
+ * Node module hooks for LWC service components
+ *
+ * LWC modules are ES modules that import their siblings without the ".js"
+ * extension, which Node does not resolve, and the package is not marked as
+ * "type": "module". These hooks fill in the extension and load every file of
+ * the lwc directory as an ES module, so that the components run unchanged.
+ */
+
+const LWC_URL = new URL("../force-app/main/default/lwc/", import.meta.url).href;
+
+/**
+ * Resolves extensionless relative imports made from LWC modules
+ * @param {string} specifier - Imported path
+ * @param {Object} context - Resolution context
+ * @param {Function} nextResolve - Next resolve hook
+ * @returns {Promise<Object>} - Resolved URL
+ */
+export async function resolve(specifier, context, nextResolve) {
+  if (
+    context.parentURL?.startsWith(LWC_URL) &&
+    /^\.\.?\//.test(specifier) &&
+    !/\.[cm]?js$/.test(specifier)
+  ) {
+    return nextResolve(`${specifier}.js`, context);
+  }
+
+  return nextResolve(specifier, context);
+}
+
+/**
+ * Loads the JavaScript files of the lwc directory as ES modules
+ * @param {string} url - Module URL
+ * @param {Object} context - Load context
+ * @param {Function} nextLoad - Next load hook
+ * @returns {Promise<Object>} - Loaded module
+ */
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(LWC_URL) && url.endsWith(".js")) {
+    return nextLoad(url, { ...context, format: "module" });
+  }
+
+  return nextLoad(url, context);
+}